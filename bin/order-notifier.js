@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+// The CLI prints its own summary, so only warnings and errors are logged unless LOG_LEVEL says otherwise
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+
+const { runCli } = require("../src/cli");
+
+runCli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
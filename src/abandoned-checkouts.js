@@ -0,0 +1,93 @@
+const { createCollection } = require("./collection");
+const { logger } = require("./logger");
+
+// Recovery configuration
+const ABANDONED_CHECKOUT_DELAY_MINUTES = Number(process.env.ABANDONED_CHECKOUT_DELAY_MINUTES) || 60;
+const ABANDONED_CHECKOUT_MAX_REMINDERS = Number(process.env.ABANDONED_CHECKOUT_MAX_REMINDERS) || 1;
+const ABANDONED_CHECKOUT_CAP_DAYS = Number(process.env.ABANDONED_CHECKOUT_CAP_DAYS) || 7;
+const CHECKOUT_RETENTION_DAYS = 30;
+
+const checkouts = createCollection("abandoned-checkouts");
+
+// Function to schedule (or push back) the reminder for a checkout
+// Every checkouts/update restarts the delay, since the customer is still active
+const scheduleCheckoutReminder = (checkout, phone, tenantId = null) => {
+  const token = checkout.token;
+  const existing = checkouts.get(token);
+
+  // Reminders already sent, cancelled or skipped stay that way
+  if (existing && existing.status !== "scheduled") return existing;
+
+  const activityAt = new Date(checkout.updated_at || checkout.created_at || Date.now()).getTime();
+  return checkouts.set(token, {
+    token,
+    checkoutId: checkout.id,
+    tenantId,
+    phone,
+    status: "scheduled",
+    dueAt: new Date(activityAt + ABANDONED_CHECKOUT_DELAY_MINUTES * 60 * 1000).toISOString(),
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    sentAt: null,
+    reason: null,
+    checkout,
+  });
+};
+
+// Function to update a checkout reminder's status
+const updateCheckoutReminder = (token, changes) => {
+  const current = checkouts.get(token);
+  if (!current) return null;
+  return checkouts.set(token, { ...current, ...changes, updatedAt: new Date().toISOString() });
+};
+
+// Function to cancel a scheduled reminder (e.g. the checkout became an order)
+const cancelCheckoutReminder = (token, reason) => {
+  const current = token ? checkouts.get(token) : null;
+  if (!current || current.status !== "scheduled") return null;
+  logger.info("Abandoned checkout reminder cancelled", { checkoutToken: token, reason });
+  return updateCheckoutReminder(token, { status: "cancelled", reason });
+};
+
+// Function to list scheduled reminders that are due
+const findDueCheckoutReminders = () => {
+  const now = Date.now();
+  return checkouts.values()
+    .filter((reminder) => reminder.status === "scheduled" && new Date(reminder.dueAt).getTime() <= now);
+};
+
+// Function to check whether a customer already got the maximum reminders in the cap window
+const isOverFrequencyCap = (phone) => {
+  const windowStart = Date.now() - ABANDONED_CHECKOUT_CAP_DAYS * 24 * 60 * 60 * 1000;
+  const recentReminders = checkouts.values()
+    .filter((reminder) => reminder.phone === phone && reminder.status === "sent")
+    .filter((reminder) => new Date(reminder.sentAt).getTime() >= windowStart);
+  return recentReminders.length >= ABANDONED_CHECKOUT_MAX_REMINDERS;
+};
+
+// Function to list checkout reminders (without the stored checkout), newest first
+const listCheckoutReminders = (status) => {
+  return checkouts.values()
+    .filter((reminder) => !status || reminder.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ checkout, ...reminder }) => reminder);
+};
+
+// Function to drop old checkout records
+const pruneCheckoutReminders = () => {
+  const cutoff = Date.now() - CHECKOUT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  checkouts.values()
+    .filter((reminder) => new Date(reminder.createdAt).getTime() < cutoff)
+    .forEach((reminder) => checkouts.delete(reminder.token));
+};
+
+module.exports = {
+  ABANDONED_CHECKOUT_DELAY_MINUTES,
+  scheduleCheckoutReminder,
+  updateCheckoutReminder,
+  cancelCheckoutReminder,
+  findDueCheckoutReminders,
+  isOverFrequencyCap,
+  listCheckoutReminders,
+  pruneCheckoutReminders,
+};
@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+// Function to compare two strings without leaking timing information
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Function to read the admin token from "Authorization: Bearer" or "X-Admin-Token"
+const getRequestToken = (req) => {
+  const authHeader = req.get("Authorization") || "";
+  if (authHeader.startsWith("Bearer ")) {
+    return authHeader.slice("Bearer ".length).trim();
+  }
+  return req.get("X-Admin-Token") || null;
+};
+
+// Admin API authentication middleware
+function requireAdminToken(req, res, next) {
+  const expectedToken = process.env.ADMIN_API_TOKEN;
+
+  if (!expectedToken) {
+    logger.warn("Admin API request rejected: ADMIN_API_TOKEN not set", { method: req.method, path: req.path });
+    return res.status(503).json({ error: "Admin API disabled" });
+  }
+
+  const token = getRequestToken(req);
+  if (!token || !safeEqual(token, expectedToken)) {
+    logger.warn("Admin API authentication failed", { method: req.method, path: req.path, ip: req.ip });
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  return next();
+}
+
+// Debug route middleware: open outside production, admin token required in production
+function requireDebugAccess(req, res, next) {
+  if (process.env.NODE_ENV !== "production") {
+    return next();
+  }
+  return requireAdminToken(req, res, next);
+}
+
+// Function to read the password from an "Authorization: Basic" header (the username is ignored)
+const getBasicPassword = (req) => {
+  const authHeader = req.get("Authorization") || "";
+  if (!authHeader.startsWith("Basic ")) return null;
+  const decoded = Buffer.from(authHeader.slice("Basic ".length), "base64").toString("utf8");
+  return decoded.includes(":") ? decoded.slice(decoded.indexOf(":") + 1) : null;
+};
+
+// Dashboard authentication middleware (HTTP Basic auth with DASHBOARD_PASSWORD)
+function requireDashboardPassword(req, res, next) {
+  const expectedPassword = process.env.DASHBOARD_PASSWORD;
+
+  if (!expectedPassword) {
+    logger.warn("Dashboard request rejected: DASHBOARD_PASSWORD not set", { method: req.method, path: req.path });
+    return res.status(503).send("Dashboard disabled - set DASHBOARD_PASSWORD");
+  }
+
+  const password = getBasicPassword(req);
+  if (!password || !safeEqual(password, expectedPassword)) {
+    if (password) logger.warn("Dashboard authentication failed", { method: req.method, path: req.path, ip: req.ip });
+    res.set("WWW-Authenticate", 'Basic realm="Order notifications dashboard", charset="UTF-8"');
+    return res.status(401).send("Unauthorized");
+  }
+
+  return next();
+}
+
+// Function to get the token dashboard forms must send back (browsers resend Basic
+// credentials on cross-site posts, so the password alone doesn't prove the form is ours)
+const getDashboardFormToken = () => {
+  return crypto.createHmac("sha256", String(process.env.DASHBOARD_PASSWORD)).update("dashboard-form").digest("hex");
+};
+
+// Dashboard form check middleware (must run after requireDashboardPassword)
+function verifyDashboardForm(req, res, next) {
+  if (!safeEqual(req.body?.formToken || "", getDashboardFormToken())) {
+    logger.warn("Dashboard form rejected: missing or invalid form token", { method: req.method, path: req.path });
+    return res.status(403).send("Forbidden - invalid form token");
+  }
+  return next();
+}
+
+module.exports = {
+  safeEqual,
+  getRequestToken,
+  requireAdminToken,
+  requireDebugAccess,
+  requireDashboardPassword,
+  getDashboardFormToken,
+  verifyDashboardForm,
+};
@@ -0,0 +1,288 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizePhone } = require("./phone");
+const { isCashOnDelivery } = require("./order-format");
+const { logger } = require("./logger");
+
+// Admin roster: each admin has roles, a role says which topics and which orders it cares about
+const ADMINS_CONFIG_PATH = process.env.ADMINS_CONFIG_PATH
+  || path.join(__dirname, "..", "config", "admins.json");
+
+// Quiet hours are given in this timezone unless the config says otherwise
+const DEFAULT_ADMIN_TIMEZONE = process.env.ADMIN_TIMEZONE || "Asia/Kolkata";
+
+const CONDITION_KEYS = ["minTotal", "maxTotal", "tags", "skus", "vendors", "provinces", "gateways", "cashOnDelivery"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Thrown when the admin configuration file is invalid
+class AdminConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message);
+    this.name = "AdminConfigError";
+    this.problems = problems;
+  }
+}
+
+// Function to validate one set of order conditions
+const validateConditions = (conditions, where, problems) => {
+  if (!conditions || typeof conditions !== "object" || Array.isArray(conditions)) {
+    problems.push(`${where} must be an object of conditions`);
+    return;
+  }
+  Object.entries(conditions).forEach(([key, value]) => {
+    if (!CONDITION_KEYS.includes(key)) {
+      problems.push(`${where}.${key} is not a known condition (use ${CONDITION_KEYS.join(", ")})`);
+    } else if (["minTotal", "maxTotal"].includes(key) && typeof value !== "number") {
+      problems.push(`${where}.${key} must be a number`);
+    } else if (key === "cashOnDelivery" && typeof value !== "boolean") {
+      problems.push(`${where}.${key} must be true or false`);
+    } else if (!["minTotal", "maxTotal", "cashOnDelivery"].includes(key)
+      && (!Array.isArray(value) || !value.every((entry) => typeof entry === "string"))) {
+      problems.push(`${where}.${key} must be an array of strings`);
+    }
+  });
+};
+
+// Function to validate roles ({ name: { topics, when } })
+const validateRoles = (roles, where, problems) => {
+  if (!roles || typeof roles !== "object" || Array.isArray(roles)) {
+    problems.push(`${where} must be an object keyed by role name`);
+    return;
+  }
+  Object.entries(roles).forEach(([name, role]) => {
+    if (role.topics !== undefined
+      && (!Array.isArray(role.topics) || !role.topics.every((topic) => typeof topic === "string"))) {
+      problems.push(`${where}.${name}.topics must be an array of topics`);
+    }
+    if (role.when !== undefined) {
+      // An array of condition sets matches when any of them does
+      (Array.isArray(role.when) ? role.when : [role.when]).forEach((conditions, index) =>
+        validateConditions(conditions, `${where}.${name}.when${Array.isArray(role.when) ? `[${index}]` : ""}`, problems)
+      );
+    }
+  });
+};
+
+// Function to validate a list of admins against the known roles
+const validateAdmins = (admins, roleNames, where, problems) => {
+  if (!Array.isArray(admins)) {
+    problems.push(`${where} must be an array`);
+    return;
+  }
+  admins.forEach((admin, index) => {
+    const adminWhere = `${where}[${index}]`;
+    if (typeof admin?.name !== "string" || admin.name.trim() === "") {
+      problems.push(`${adminWhere}.name must be a non-empty string`);
+    }
+    if (typeof admin?.phone !== "string" && typeof admin?.email !== "string") {
+      problems.push(`${adminWhere} needs a phone or an email`);
+    }
+    if (!Array.isArray(admin?.roles) || admin.roles.length === 0) {
+      problems.push(`${adminWhere}.roles must list at least one role`);
+    } else {
+      admin.roles.filter((role) => !roleNames.includes(role)).forEach((role) => {
+        problems.push(`${adminWhere}.roles: unknown role "${role}"`);
+      });
+    }
+    if (admin?.quietHours !== undefined
+      && !(TIME_PATTERN.test(admin.quietHours?.start) && TIME_PATTERN.test(admin.quietHours?.end))) {
+      problems.push(`${adminWhere}.quietHours must be { "start": "HH:MM", "end": "HH:MM" }`);
+    }
+  });
+};
+
+// Function to validate the whole admin configuration, throwing on problems
+const validateAdminConfig = (config, configPath = ADMINS_CONFIG_PATH) => {
+  const problems = [];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    problems.push("configuration must be an object with roles and admins");
+  } else {
+    if (config.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: config.timezone });
+      } catch (err) {
+        problems.push(`timezone "${config.timezone}" is not a valid IANA timezone`);
+      }
+    }
+    validateRoles(config.roles || {}, "roles", problems);
+    validateAdmins(config.admins || [], Object.keys(config.roles || {}), "admins", problems);
+  }
+
+  if (problems.length > 0) {
+    throw new AdminConfigError(`Invalid admin configuration in ${configPath}`, problems);
+  }
+  return config;
+};
+
+// Function to build the roster from the old index-aligned env lists (every admin gets every alert)
+const loadEnvAdminConfig = () => {
+  const split = (value) => (value ? value.split(",").map((entry) => entry.trim()) : []);
+  const numbers = split(process.env.ADMIN_WHATSAPP_NUMBERS).filter((number) => number.length > 0);
+  const names = split(process.env.ADMIN_NAMES);
+  const contacts = split(process.env.ADMIN_CONTACTS);
+  const emails = split(process.env.ADMIN_EMAILS);
+
+  if (numbers.length > 0) {
+    logger.warn("ADMIN_WHATSAPP_NUMBERS / ADMIN_NAMES / ADMIN_CONTACTS are deprecated, move admins to the admin configuration", { path: ADMINS_CONFIG_PATH });
+  }
+
+  return {
+    timezone: DEFAULT_ADMIN_TIMEZONE,
+    roles: { all: {} },
+    admins: numbers.map((number, index) => ({
+      name: names[index] || "Admin",
+      phone: number,
+      contact: contacts[index] || number,
+      email: emails[index] || null,
+      roles: ["all"],
+    })),
+  };
+};
+
+// Function to load the admin configuration (the env lists when the file is missing)
+const loadAdminConfig = (configPath = ADMINS_CONFIG_PATH) => {
+  if (!fs.existsSync(configPath)) {
+    return loadEnvAdminConfig();
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new AdminConfigError(`Unable to read admin configuration ${configPath}: ${err.message}`);
+  }
+  validateAdminConfig(config, configPath);
+  return { timezone: DEFAULT_ADMIN_TIMEZONE, roles: {}, admins: [], ...config };
+};
+
+let adminConfig = null;
+
+// Function to get the loaded admin configuration (loaded on first use)
+const getAdminConfig = () => {
+  if (!adminConfig) {
+    adminConfig = loadAdminConfig();
+  }
+  return adminConfig;
+};
+
+// Function to get a tenant's roles (its own roles on top of the shared ones)
+const getRoles = (tenant = null) => ({ ...getAdminConfig().roles, ...tenant?.roles });
+
+// Function to get admin details (a tenant's own admins, or the shared roster)
+// Admins whose phone can't be used keep their email so email-only routing still works
+const getAdmins = (tenant = null) => {
+  const admins = tenant?.admins || getAdminConfig().admins;
+
+  return admins
+    .map((admin) => {
+      const { phone, reason } = admin.phone ? normalizePhone(admin.phone) : { phone: null };
+      if (admin.phone && !phone) {
+        logger.warn("Admin has an unusable phone number", { admin: admin.name, phone: admin.phone, reason });
+      }
+      if (!phone && !admin.email) return null;
+      return {
+        name: admin.name || "Admin",
+        phone,
+        email: admin.email || null,
+        contact: admin.contact || admin.phone || admin.email,
+        roles: admin.roles || [],
+        quietHours: admin.quietHours || null,
+      };
+    })
+    .filter(Boolean);
+};
+
+// Function to compare strings case-insensitively against a list
+const includesIgnoreCase = (list, value) => {
+  return value != null && list.some((entry) => entry.toLowerCase() === String(value).toLowerCase());
+};
+
+// Function to check an order against one set of conditions (every condition must hold)
+const matchesConditions = (conditions, order) => {
+  if (!order) return false;
+
+  const total = Number(order.total_price);
+  const lineItems = order.line_items || [];
+  const tags = String(order.tags || "").split(",").map((tag) => tag.trim()).filter(Boolean);
+  const address = order.shipping_address || {};
+  const gateways = [order.gateway, ...(order.payment_gateway_names || [])].filter(Boolean);
+
+  return Object.entries(conditions).every(([key, value]) => {
+    switch (key) {
+      case "minTotal": return Number.isFinite(total) && total >= value;
+      case "maxTotal": return Number.isFinite(total) && total <= value;
+      case "tags": return tags.some((tag) => includesIgnoreCase(value, tag));
+      case "skus": return lineItems.some((item) => includesIgnoreCase(value, item.sku));
+      case "vendors": return lineItems.some((item) => includesIgnoreCase(value, item.vendor));
+      case "provinces": return includesIgnoreCase(value, address.province) || includesIgnoreCase(value, address.province_code);
+      case "gateways": return gateways.some((gateway) => includesIgnoreCase(value, gateway));
+      case "cashOnDelivery": return isCashOnDelivery(order) === value;
+      default: return false;
+    }
+  });
+};
+
+// Function to check whether a role wants a topic (entries match the topic or its ":variant"s)
+const roleCoversTopic = (role, topic) => {
+  if (!role.topics) return true;
+  return role.topics.some((entry) => entry === "*" || topic === entry || String(topic).startsWith(`${entry}:`));
+};
+
+// Function to check whether a role wants an alert about this topic and order
+// Roles with order conditions never match alerts that aren't about an order
+const roleMatches = (role, topic, order) => {
+  if (!roleCoversTopic(role, topic)) return false;
+  if (!role.when) return true;
+  return (Array.isArray(role.when) ? role.when : [role.when]).some((conditions) => matchesConditions(conditions, order));
+};
+
+// Function to pick the admins who should get an alert
+const selectAdmins = (tenant, topic, order = null) => {
+  const roles = getRoles(tenant);
+  return getAdmins(tenant).filter((admin) =>
+    admin.roles.some((roleName) => roles[roleName] && roleMatches(roles[roleName], topic || "", order))
+  );
+};
+
+// Function to get the minutes past midnight for a time in the admin timezone
+const getLocalMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    .formatToParts(date);
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+  return part("hour") * 60 + part("minute");
+};
+
+// Function to get when an admin's quiet hours end, or null when they aren't in quiet hours
+// (quiet hours may wrap past midnight, e.g. 22:00 to 07:00)
+const getQuietHoursEnd = (admin, now = new Date()) => {
+  if (!admin.quietHours) return null;
+
+  const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  const start = toMinutes(admin.quietHours.start);
+  const end = toMinutes(admin.quietHours.end);
+  const current = getLocalMinutes(now, getAdminConfig().timezone);
+
+  const inQuietHours = start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inQuietHours) return null;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+module.exports = {
+  ADMINS_CONFIG_PATH,
+  AdminConfigError,
+  validateAdminConfig,
+  loadAdminConfig,
+  getAdminConfig,
+  getAdmins,
+  getRoles,
+  matchesConditions,
+  selectAdmins,
+  getQuietHoursEnd,
+};
@@ -0,0 +1,1854 @@
+const crypto = require("crypto");
+const express = require("express");
+const bodyParser = require("body-parser");
+const {
+  requireAdminToken,
+  requireDebugAccess,
+  requireDashboardPassword,
+  getDashboardFormToken,
+  verifyDashboardForm,
+} = require("./admin-auth");
+const {
+  DELIVERY_RETENTION_HOURS,
+  getDelivery,
+  findDeliveries,
+  summarizeDelivery,
+  dedupeWebhook,
+  startDeliveryPruning,
+} = require("./deliveries");
+const {
+  WebhookPayloadError,
+  registerWebhookHandler,
+  setWebhookErrorReporter,
+  enqueueWebhook,
+  retryDelivery,
+  resumePendingDeliveries,
+} = require("./webhook-processor");
+const { buildTemplatePayload, buildTextPayload } = require("./whatsapp");
+const {
+  ChannelConfigError,
+  getChannelRoute,
+  describeChannelRoute,
+  getChannel,
+} = require("./channels");
+const {
+  enqueueMessage,
+  startQueueWorker,
+  getDeadLetters,
+  replayDeadLetter,
+  discardDeadLetter,
+  getQueueStats,
+} = require("./message-queue");
+const {
+  TemplateConfigError,
+  TemplateRenderError,
+  getTemplateConfig,
+  getTemplateDefinition,
+  renderTemplate,
+} = require("./templates");
+const {
+  formatAddress,
+  formatProductList,
+  formatOrderAmount,
+  getCustomerName,
+  isCashOnDelivery,
+} = require("./order-format");
+const {
+  saveOrder,
+  getOrder,
+  findOrderRecord,
+  getAnnouncedFulfillmentIds,
+  markFulfillmentsAnnounced,
+  findOrdersByPhone,
+  startOrderPruning,
+} = require("./order-store");
+const { extractTrackingInfo, summarizeShipments, formatShipments } = require("./tracking");
+const { getCarriers, getUnknownCarriers, recordUnknownCarriers } = require("./carriers");
+const {
+  normalizePhone,
+  resolveCustomerPhone,
+  getCustomerPhone,
+  getRejectedPhones,
+} = require("./phone");
+const {
+  getNotification,
+  findNotificationByMessageId,
+  applyDeliveryStatus,
+  searchNotifications,
+  startHistoryPruning,
+} = require("./notification-history");
+const {
+  handleWhatsappVerification,
+  verifyWhatsappSignature,
+  getStatusUpdates,
+} = require("./whatsapp-webhook");
+const { WEBHOOK_MAX_AGE_MINUTES, verifyShopifyWebhook } = require("./shopify-webhook");
+const { createRateLimiter } = require("./rate-limit");
+const { LOG_LEVEL, logger } = require("./logger");
+const { renderMetrics, webhooksReceived, queueDepth } = require("./metrics");
+const {
+  getInboundMessages,
+  markInboundSeen,
+  detectIntent,
+  describeOrderStatus,
+  isCancellable,
+} = require("./inbound");
+const {
+  COD_CONFIRMATION_TIMEOUT_HOURS,
+  buildCodPayloads,
+  parseCodPayload,
+  createCodConfirmation,
+  getCodConfirmation,
+  updateCodConfirmation,
+  findOverdueCodConfirmations,
+  listCodConfirmations,
+  pruneCodConfirmations,
+} = require("./cod-confirmations");
+const { isShopifyAdminConfigured, tagOrder, cancelOrder } = require("./shopify-admin");
+const {
+  AdminConfigError,
+  getAdminConfig,
+  getAdmins,
+  selectAdmins,
+  validateAdminConfig,
+  getQuietHoursEnd,
+} = require("./admins");
+const { maskPhone, maskEmail, maskSecret } = require("./masking");
+const { renderOverview, renderDeliveries, renderMessages } = require("./dashboard");
+const {
+  DigestConfigError,
+  validateDigestSchedule,
+  getLocalParts,
+  buildDigest,
+  formatDigest,
+  findDueDigests,
+  markDigestSent,
+  pruneDigests,
+  describeDigestSchedule,
+} = require("./digest");
+const {
+  TENANTS_CONFIG_PATH,
+  isMultiTenant,
+  listTenants,
+  getTenantById,
+  getTenantForPhoneNumberId,
+  resolveTenant,
+} = require("./tenants");
+const {
+  scheduleCheckoutReminder,
+  updateCheckoutReminder,
+  cancelCheckoutReminder,
+  findDueCheckoutReminders,
+  isOverFrequencyCap,
+  listCheckoutReminders,
+  pruneCheckoutReminders,
+} = require("./abandoned-checkouts");
+const {
+  MESSAGE_CATEGORIES,
+  parseConsentKeyword,
+  getConsent,
+  optOut,
+  optIn,
+  clearConsent,
+  canMessageCustomer,
+  listSuppressions,
+} = require("./consent");
+
+// Per-IP rate limits (requests per minute)
+const WEBHOOK_RATE_LIMIT = Number(process.env.WEBHOOK_RATE_LIMIT) || 300;
+const ADMIN_RATE_LIMIT = Number(process.env.ADMIN_RATE_LIMIT) || 60;
+
+// Keep-alive configuration
+const KEEP_ALIVE_URL = process.env.KEEP_ALIVE_URL;
+const INACTIVITY_THRESHOLD = 5 * 60 * 1000; // 5 minutes in milliseconds
+const KEEP_ALIVE_INTERVAL = 10 * 60 * 1000; // 10 minutes in milliseconds
+
+// COD confirmation configuration ("cancel" cancels the order in Shopify, "tag" only tags it for review)
+const COD_CANCEL_ACTION = process.env.COD_CANCEL_ACTION || "cancel";
+const COD_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes in milliseconds
+const CHECKOUT_REMINDER_INTERVAL = 60 * 1000; // 1 minute in milliseconds
+const DIGEST_CHECK_INTERVAL = 60 * 1000; // 1 minute in milliseconds
+
+// Activity tracking
+let lastActivity = Date.now();
+let keepAliveInterval = null;
+
+// Function to update last activity
+const updateActivity = () => {
+  lastActivity = Date.now();
+};
+
+// Function to send keep-alive request
+const sendKeepAlive = async () => {
+  try {
+    const timeSinceLastActivity = Date.now() - lastActivity;
+    logger.debug("Checking activity", { secondsSinceLastActivity: Math.round(timeSinceLastActivity / 1000) });
+    
+    if (timeSinceLastActivity > INACTIVITY_THRESHOLD) {
+      logger.info("Sending keep-alive request to prevent spin-down");
+      
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+      
+      const response = await fetch(`${KEEP_ALIVE_URL}/health`, {
+        method: 'GET',
+        headers: {
+          'User-Agent': 'Keep-Alive-Bot',
+          'X-Keep-Alive': 'true'
+        },
+        signal: controller.signal
+      });
+      
+      clearTimeout(timeoutId);
+      
+      if (response.ok) {
+        logger.info("Keep-alive request successful");
+      } else {
+        logger.warn("Keep-alive request failed", { status: response.status });
+      }
+    } else {
+      logger.debug("Recent activity detected, skipping keep-alive request");
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      logger.error("Keep-alive request timed out");
+    } else {
+      logger.error("Keep-alive request failed", { error: error.message });
+    }
+  }
+};
+
+// Function to build the render context for an order's templates
+// customerWhatsapp is the validated number messages go to, customerPhone is for display
+// extra.tenant selects the shop's template file, WhatsApp number and admins
+// Previews pass { preview: true } so an order without a usable phone isn't recorded as rejected
+const buildOrderContext = (order, extra = {}, { preview = false } = {}) => {
+  const customer = order.customer || {};
+  const customerWhatsapp = preview ? resolveCustomerPhone(order).phone : getCustomerPhone(order);
+  return {
+    order,
+    customer,
+    customerName: getCustomerName(customer),
+    customerWhatsapp,
+    customerEmail: customer.email || order.email || null,
+    customerPhone: customerWhatsapp || customer.phone || order.shipping_address?.phone || order.phone,
+    address: formatAddress(order.shipping_address || order.billing_address),
+    products: formatProductList(order.line_items),
+    orderTotal: formatOrderAmount(order.total_price, order),
+    ...extra,
+  };
+};
+
+// Function to queue the configured template for a topic to customer
+// WhatsApp goes first; the customer channel route falls back to SMS/email (context.customerEmail)
+// Returns the queued message, or null when nothing was sent (no template, no consent, error)
+const sendCustomerWhatsapp = async (phone, topic, context) => {
+  const log = logger.child({ correlationId: context.correlationId, topic, orderName: context.order?.name });
+  try {
+    updateActivity(); // Update activity when sending messages
+    const template = renderTemplate(topic, "customer", context);
+    if (!template) {
+      log.warn("No customer template configured");
+      return null;
+    }
+
+    // Respect opt-outs and marketing consent
+    const consent = canMessageCustomer(context.tenant?.id, phone, template.category, context.customer);
+    if (!consent.allowed) {
+      log.info("Customer message not sent", { template: template.name, phone, reason: consent.reason });
+      return null;
+    }
+
+    log.info("Queueing customer template", { template: template.name, phone, email: context.customerEmail });
+    return enqueueMessage(
+      {
+        whatsapp: phone ? buildTemplatePayload(phone, template) : null,
+        text: template.text,
+        subject: template.subject,
+      },
+      {
+        tenantId: context.tenant?.id,
+        audience: "customer",
+        recipient: phone || null,
+        recipientEmail: context.customerEmail || null,
+        orderId: context.order?.id,
+        orderName: context.order?.name,
+        topic,
+        templateName: template.name,
+        category: template.category,
+        correlationId: context.correlationId,
+      },
+      getChannelRoute("customer").channels
+    );
+  } catch (err) {
+    if (err instanceof TemplateRenderError) {
+      // WhatsApp would reject the message, so admins are told to reach the customer themselves
+      log.error("Customer template can't be rendered", { error: err.message });
+      await sendAdminWhatsappText(
+        `Dear Admin, the ${topic} message for order ${context.order?.name || "Unknown"} could not be sent to the customer: ${err.message}`,
+        { tenantId: context.tenant?.id, orderId: context.order?.id, orderName: context.order?.name, topic, correlationId: context.correlationId }
+      );
+      return null;
+    }
+    log.error("Customer message queue error", { error: err.message });
+    return null;
+  }
+};
+
+// Function to queue the configured template for a topic to the admins whose roles want it
+// Each admin gets it through the admin channel route (held until their quiet hours end),
+// broadcast channels (Slack) get one copy
+const sendAdminWhatsapp = async (topic, context) => {
+  const log = logger.child({ correlationId: context.correlationId, topic, orderName: context.order?.name });
+  try {
+    updateActivity(); // Update activity when sending messages
+    if (!getTemplateDefinition(topic, "admin", context.tenant)) {
+      log.debug("No admin template configured");
+      return;
+    }
+
+    const adminDetails = selectAdmins(context.tenant, topic, context.order);
+    const meta = {
+      tenantId: context.tenant?.id,
+      audience: "admin",
+      orderId: context.order?.id,
+      orderName: context.order?.name,
+      topic,
+      correlationId: context.correlationId,
+    };
+
+    // A template WhatsApp would reject goes to admins as a text message instead
+    let broadcast;
+    try {
+      broadcast = renderTemplate(topic, "admin", { ...context, admin: { name: "team" } });
+    } catch (err) {
+      if (!(err instanceof TemplateRenderError)) throw err;
+      log.warn("Admin template can't be rendered, sending it as text", { error: err.message });
+      await sendAdminWhatsappText(
+        err.text || `Dear Admin, ${topic} for order ${context.order?.name || "Unknown"} could not be sent as a template: ${err.message}`,
+        meta
+      );
+      return;
+    }
+    queueAdminBroadcast(broadcast.text, meta);
+
+    if (adminDetails.length === 0) {
+      log.info("No admin is routed this alert");
+      return;
+    }
+
+    log.info("Queueing admin template", { admins: adminDetails.length });
+    
+    adminDetails.forEach((admin) => {
+      const sendAt = getQuietHoursEnd(admin);
+      const recipientMeta = { ...meta, recipient: admin.phone, recipientEmail: admin.email, recipientName: admin.name };
+
+      // Render personalized parameters for each admin (a long admin name can push just this
+      // admin's copy over WhatsApp's limits, so that admin alone gets it as text)
+      let template;
+      try {
+        template = renderTemplate(topic, "admin", { ...context, admin });
+      } catch (err) {
+        if (!(err instanceof TemplateRenderError)) throw err;
+        log.warn("Admin template can't be rendered for admin, sending it as text", { admin: admin.name, error: err.message });
+        const text = err.text
+          || `Dear ${admin.name}, ${topic} for order ${context.order?.name || "Unknown"} could not be sent as a template: ${err.message}`;
+        enqueueMessage(
+          { whatsapp: admin.phone ? buildTextPayload(admin.phone, text) : null, text },
+          recipientMeta,
+          getChannelRoute("admin").channels,
+          { sendAt }
+        );
+        return;
+      }
+
+      log.debug("Queueing admin template for admin", { template: template.name, admin: admin.name, heldUntil: sendAt });
+      enqueueMessage(
+        {
+          whatsapp: admin.phone ? buildTemplatePayload(admin.phone, template) : null,
+          text: template.text,
+          subject: template.subject,
+        },
+        { ...recipientMeta, templateName: template.name },
+        getChannelRoute("admin").channels,
+        { sendAt }
+      );
+    });
+  } catch (err) {
+    log.error("Admin message queue error", { error: err.message });
+  }
+};
+
+// Function to queue one copy of an admin alert on each configured broadcast channel (e.g. Slack)
+// Several shops may share one team channel, so alerts name the shop they are about
+const queueAdminBroadcast = (text, meta) => {
+  if (!text) return;
+
+  const tenant = getTenantById(meta.tenantId);
+  const shopPrefix = listTenants().length > 1 && tenant ? `[${tenant.name}] ` : "";
+
+  getChannelRoute("admin").broadcast
+    .filter((name) => getChannel(name).isConfigured())
+    .forEach((name) => {
+      logger.info("Queueing admin broadcast", { channel: name, topic: meta.topic, correlationId: meta.correlationId });
+      enqueueMessage({ text: `${shopPrefix}${text}` }, { ...meta, recipientName: name }, [name]);
+    });
+};
+
+// Function to queue WhatsApp text message to customer
+// Free-form text is only delivered inside the 24h window after the customer messaged us,
+// so these are always replies and go out even to customers who opted out of notifications
+const sendCustomerWhatsappText = async (phone, message, meta = {}) => {
+  try {
+    updateActivity(); // Update activity when sending messages
+    logger.info("Queueing customer text message", { phone, topic: meta.topic, correlationId: meta.correlationId });
+    enqueueMessage({ whatsapp: buildTextPayload(phone, message), text: message }, {
+      ...meta,
+      audience: "customer",
+      recipient: phone,
+    });
+  } catch (err) {
+    logger.error("Customer text message queue error", { error: err.message, correlationId: meta.correlationId });
+  }
+};
+
+// Function to queue WhatsApp text message to admin (fallback)
+// meta optionally ties the message to an order/topic in the notification history,
+// meta.tenantId picks the shop whose admins are messaged, and the admins' roles are
+// matched against meta.topic and the stored order
+const sendAdminWhatsappText = async (message, meta = {}) => {
+  try {
+    updateActivity(); // Update activity when sending messages
+    const order = meta.orderId ? getOrder(meta.orderId) : null;
+    const adminDetails = selectAdmins(getTenantById(meta.tenantId), meta.topic, order);
+    queueAdminBroadcast(message.replace(/Dear\s+\w+,/, "Dear team,"), { ...meta, audience: "admin" });
+    
+    if (adminDetails.length === 0) {
+      logger.info("No admin is routed this alert", { topic: meta.topic, correlationId: meta.correlationId });
+      return;
+    }
+
+    logger.info("Queueing admin text message", { topic: meta.topic, admins: adminDetails.length, correlationId: meta.correlationId });
+    
+    adminDetails.forEach((admin) => {
+      // Personalize the message for each admin
+      const personalizedMessage = message.replace(/Dear\s+\w+,/, `Dear ${admin.name},`);
+
+      enqueueMessage(
+        { whatsapp: admin.phone ? buildTextPayload(admin.phone, personalizedMessage) : null, text: personalizedMessage },
+        {
+          ...meta,
+          audience: "admin",
+          recipient: admin.phone,
+          recipientEmail: admin.email,
+          recipientName: admin.name,
+        },
+        getChannelRoute("admin").channels,
+        { sendAt: getQuietHoursEnd(admin) }
+      );
+    });
+  } catch (err) {
+    logger.error("Admin text message queue error", { error: err.message, correlationId: meta.correlationId });
+  }
+};
+
+// Human-readable Shopify cancel reasons
+const CANCEL_REASONS = {
+  customer: "Cancelled at customer's request",
+  fraud: "Flagged as fraudulent",
+  inventory: "Items out of stock",
+  declined: "Payment declined",
+  other: "Other",
+};
+
+// Shipment statuses from fulfillments/update that customers are told about
+// (a failed delivery attempt uses the failure template)
+const SHIPMENT_STATUS_TOPICS = {
+  out_for_delivery: "fulfillments/update:out_for_delivery",
+  delivered: "fulfillments/update:delivered",
+  attempted_delivery: "fulfillments/update:failure",
+  failure: "fulfillments/update:failure",
+};
+
+// Function to check an orders/* payload has what every notification needs
+const assertOrderPayload = (order) => {
+  if (!order || typeof order !== "object") {
+    throw new WebhookPayloadError("Invalid or empty order payload");
+  }
+  if (!order.customer || typeof order.customer !== "object") {
+    throw new WebhookPayloadError("Order received but 'customer' field is missing");
+  }
+};
+
+// Function to queue a topic's admin and customer notifications
+const notifyOrder = async (topic, context) => {
+  // Send admin notification using template
+  await sendAdminWhatsapp(topic, context);
+
+  // Send customer notification if a phone or email is available
+  if (context.customerWhatsapp || context.customerEmail) {
+    await sendCustomerWhatsapp(context.customerWhatsapp, topic, context);
+  } else {
+    logger.warn("Customer phone and email not available", { topic, orderName: context.order?.name, correlationId: context.correlationId });
+  }
+};
+
+// Processor for new orders (runs after the webhook has been acknowledged)
+const processOrderCreated = async (order, delivery) => {
+  const log = logger.child({ correlationId: delivery.correlationId, topic: delivery.topic, orderName: order?.name });
+  log.info("Processing new order");
+
+  assertOrderPayload(order);
+  saveOrder(order, delivery.tenantId);
+
+  // The checkout became an order, so no recovery reminder
+  cancelCheckoutReminder(order.checkout_token, `order ${order.name} placed`);
+
+  const context = buildOrderContext(order, { tenant: getTenantById(delivery.tenantId), correlationId: delivery.correlationId });
+
+  // COD orders ask the customer to confirm with Confirm/Cancel buttons instead
+  const needsCodConfirmation = isCashOnDelivery(order)
+    && context.customerWhatsapp
+    && getTemplateDefinition("orders/create:cod", "customer", context.tenant);
+  if (needsCodConfirmation) {
+    await sendAdminWhatsapp("orders/create", context);
+    const queued = await sendCustomerWhatsapp(context.customerWhatsapp, "orders/create:cod", { ...context, ...buildCodPayloads(order) });
+    if (queued) {
+      createCodConfirmation(order, context.customerWhatsapp, delivery.tenantId);
+    }
+    log.info("COD order processed, awaiting customer confirmation");
+    return;
+  }
+
+  await notifyOrder("orders/create", context);
+  log.info("Order processed successfully");
+};
+
+// Processor for full and partial order fulfillments
+// Only shipments not announced before are sent, so a later package doesn't repeat earlier ones
+const processOrderFulfilled = async (order, delivery) => {
+  const log = logger.child({ correlationId: delivery.correlationId, topic: delivery.topic, orderName: order?.name });
+  log.info("Processing order fulfillment");
+
+  assertOrderPayload(order);
+  // Replays (order-notifier CLI) announce every shipment again
+  const announcedIds = delivery.replay ? [] : getAnnouncedFulfillmentIds(order.id);
+  saveOrder(order, delivery.tenantId);
+
+  // Extract tracking information using the comprehensive function
+  const { shipments } = extractTrackingInfo(order);
+  const newShipments = shipments.filter((shipment) => shipment.id === null || !announcedIds.includes(shipment.id));
+
+  if (shipments.length > 0 && newShipments.length === 0) {
+    log.info("All shipments were already announced, skipping");
+    return;
+  }
+
+  markFulfillmentsAnnounced(order.id, newShipments.map((shipment) => shipment.id).filter((id) => id !== null));
+  if (!delivery.replay) {
+    recordUnknownCarriers(newShipments, order.name);
+  }
+
+  const context = buildOrderContext(order, {
+    tenant: getTenantById(delivery.tenantId),
+    correlationId: delivery.correlationId,
+    tracking: { ...summarizeShipments(newShipments), shipments: newShipments },
+    // Orders without fulfillment details fall back to the full product list
+    shippedItems: newShipments.length > 0 ? formatShipments(newShipments) : formatProductList(order.line_items),
+  });
+
+  await notifyOrder(delivery.topic, context);
+  log.info("Fulfillment notifications queued successfully", { newShipments: newShipments.length });
+};
+
+// Processor for cancelled orders
+const processOrderCancelled = async (order, delivery) => {
+  const log = logger.child({ correlationId: delivery.correlationId, topic: delivery.topic, orderName: order?.name });
+  log.info("Processing order cancellation");
+
+  assertOrderPayload(order);
+  saveOrder(order, delivery.tenantId);
+
+  // A cancelled order no longer needs its COD confirmation
+  if (["awaiting", "reminded"].includes(getCodConfirmation(order.id)?.status)) {
+    updateCodConfirmation(order.id, { status: "cancelled", resolvedAt: new Date().toISOString() });
+  }
+
+  const context = buildOrderContext(order, {
+    tenant: getTenantById(delivery.tenantId),
+    correlationId: delivery.correlationId,
+    cancelReason: CANCEL_REASONS[order.cancel_reason] || "Not specified",
+  });
+
+  await notifyOrder("orders/cancelled", context);
+  log.info("Cancellation notifications queued successfully");
+};
+
+// Processor for paid orders (prepaid only: COD orders are marked paid on delivery)
+const processOrderPaid = async (order, delivery) => {
+  const log = logger.child({ correlationId: delivery.correlationId, topic: delivery.topic, orderName: order?.name });
+  log.info("Processing order payment");
+
+  assertOrderPayload(order);
+  saveOrder(order, delivery.tenantId);
+
+  if (isCashOnDelivery(order)) {
+    log.info("Skipping payment notification for cash on delivery order");
+    return;
+  }
+
+  await notifyOrder("orders/paid", buildOrderContext(order, { tenant: getTenantById(delivery.tenantId), correlationId: delivery.correlationId }));
+  log.info("Payment notifications queued successfully");
+};
+
+// Processor for refunds (the payload only references the order, so use the stored snapshot)
+const processRefundCreated = async (refund, delivery) => {
+  const log = logger.child({ correlationId: delivery.correlationId, topic: delivery.topic, orderId: refund?.order_id });
+  log.info("Processing refund");
+
+  if (!refund || !refund.order_id) {
+    throw new WebhookPayloadError("Refund received without 'order_id'");
+  }
+
+  const order = getOrder(refund.order_id) || { id: refund.order_id };
+  if (!order.customer) {
+    log.warn("Order not in local store, customer will not be notified of refund");
+  }
+
+  const refundAmount = (refund.transactions || [])
+    .filter((transaction) => transaction.kind === "refund" && transaction.status !== "failure")
+    .reduce((sum, transaction) => sum + Number(transaction.amount || 0), 0);
+  const refundedItems = formatProductList(
+    (refund.refund_line_items || []).map((refundItem) => ({
+      name: refundItem.line_item?.name || "Item",
+      quantity: refundItem.quantity,
+    }))
+  );
+
+  const context = buildOrderContext(order, {
+    tenant: getTenantById(delivery.tenantId),
+    correlationId: delivery.correlationId,
+    refund,
+    refundAmount: formatOrderAmount(refundAmount, order),
+    refundedItems,
+  });
+
+  await notifyOrder("refunds/create", context);
+  log.info("Refund notifications queued successfully");
+};
+
+// Processor for fulfillment shipment status changes (out for delivery, delivered, failed)
+// Shopify sends fulfillments/update for any change to a fulfillment (tracking edits, carrier
+// events), so customers are only notified when the shipment status itself changed
+const processFulfillmentUpdated = async (fulfillment, delivery) => {
+  const log = logger.child({ correlationId: delivery.correlationId, topic: delivery.topic, orderId: fulfillment?.order_id });
+  log.info("Processing fulfillment update", { shipmentStatus: fulfillment?.shipment_status || null });
+
+  if (!fulfillment || !fulfillment.order_id) {
+    throw new WebhookPayloadError("Fulfillment received without 'order_id'");
+  }
+
+  // Keep the stored order's fulfillments current for later lookups and status comparisons
+  const storedOrder = getOrder(fulfillment.order_id);
+  const storedFulfillment = storedOrder?.fulfillments?.find((existing) => existing.id === fulfillment.id);
+  const previousStatus = storedFulfillment?.shipment_status;
+  if (storedOrder) {
+    saveOrder({
+      ...storedOrder,
+      fulfillments: [
+        ...(storedOrder.fulfillments || []).filter((existing) => existing.id !== fulfillment.id),
+        fulfillment,
+      ],
+    }, delivery.tenantId);
+  }
+
+  // A shipment seen before (orders/fulfilled or an earlier update) had its carrier checked then
+  const tracking = extractTrackingInfo({ name: storedOrder?.name || fulfillment.name, fulfillments: [fulfillment] });
+  if (!storedFulfillment) {
+    recordUnknownCarriers(tracking.shipments, storedOrder?.name || fulfillment.name);
+  }
+
+  const topic = SHIPMENT_STATUS_TOPICS[fulfillment.shipment_status];
+  if (!topic) {
+    log.info("No notification for this shipment status", { shipmentStatus: fulfillment.shipment_status });
+    return;
+  }
+  if (previousStatus === fulfillment.shipment_status) {
+    log.info("Shipment status unchanged, skipping", { shipmentStatus: fulfillment.shipment_status });
+    return;
+  }
+
+  const order = storedOrder || { id: fulfillment.order_id };
+  const context = buildOrderContext(order, {
+    tenant: getTenantById(delivery.tenantId),
+    correlationId: delivery.correlationId,
+    fulfillment,
+    tracking,
+  });
+
+  // Orders missing from the store can still reach the customer through the shipment destination
+  const customerWhatsapp = context.customerWhatsapp
+    || getCustomerPhone({ shipping_address: fulfillment.destination });
+
+  await notifyOrder(topic, { ...context, customerWhatsapp });
+  log.info("Fulfillment update notifications queued successfully");
+};
+
+// Processor for checkouts/create and checkouts/update: schedule an abandoned checkout reminder
+const processCheckout = async (checkout, delivery) => {
+  const log = logger.child({ correlationId: delivery.correlationId, topic: delivery.topic, checkoutToken: checkout?.token });
+  log.info("Processing checkout");
+
+  if (!checkout || !checkout.token) {
+    throw new WebhookPayloadError("Checkout received without 'token'");
+  }
+
+  if (checkout.completed_at) {
+    cancelCheckoutReminder(checkout.token, "checkout completed");
+    return;
+  }
+
+  // Checkouts without a usable phone number can't be recovered over WhatsApp
+  const { phone } = resolveCustomerPhone(checkout);
+  if (!phone) {
+    log.info("Checkout has no WhatsApp number, no reminder scheduled");
+    return;
+  }
+
+  const reminder = scheduleCheckoutReminder(checkout, phone, delivery.tenantId);
+  if (reminder.status === "scheduled") {
+    log.info("Abandoned checkout reminder scheduled", { dueAt: reminder.dueAt });
+  }
+};
+
+// Function to send due abandoned checkout reminders, respecting the per-customer frequency cap
+const sendDueCheckoutReminders = async () => {
+  pruneCheckoutReminders();
+
+  for (const reminder of findDueCheckoutReminders()) {
+    if (isOverFrequencyCap(reminder.phone)) {
+      updateCheckoutReminder(reminder.token, { status: "skipped", reason: "frequency cap reached" });
+      logger.info("Skipping abandoned checkout reminder: frequency cap reached", { checkoutToken: reminder.token });
+      continue;
+    }
+
+    const { checkout } = reminder;
+    const context = {
+      tenant: getTenantById(reminder.tenantId),
+      order: checkout,
+      checkout,
+      customer: checkout.customer || {},
+      customerEmail: checkout.email || null,
+      shipping_address: checkout.shipping_address || {},
+      checkoutTotal: formatOrderAmount(checkout.total_price, checkout),
+      products: formatProductList(
+        (checkout.line_items || []).map((item) => ({ name: item.title || item.name, quantity: item.quantity }))
+      ),
+    };
+
+    const queued = await sendCustomerWhatsapp(reminder.phone, "checkouts/abandoned", context);
+    if (!queued) {
+      updateCheckoutReminder(reminder.token, { status: "skipped", reason: "not sent (consent or template)" });
+      continue;
+    }
+
+    updateCheckoutReminder(reminder.token, { status: "sent", sentAt: new Date().toISOString() });
+    logger.info("Abandoned checkout reminder queued", { checkoutToken: reminder.token });
+  }
+};
+
+// Topics an admin can resend from the stored order snapshot
+const RESENDABLE_TOPICS = ["orders/create", "orders/fulfilled", "orders/partially_fulfilled", "orders/cancelled", "orders/paid"];
+
+// Function to build the render context a topic's processor would use for an order
+// (every shipment is included, as when resending, and COD topics get their button payloads)
+// options are passed on to buildOrderContext
+const buildTopicContext = (order, topic, extra = {}, options = {}) => {
+  const topicExtra = { ...extra };
+  if (topic === "orders/fulfilled" || topic === "orders/partially_fulfilled") {
+    const { shipments } = extractTrackingInfo(order);
+    topicExtra.tracking = { ...summarizeShipments(shipments), shipments };
+    topicExtra.shippedItems = shipments.length > 0 ? formatShipments(shipments) : formatProductList(order.line_items);
+  }
+  if (topic === "orders/cancelled") {
+    topicExtra.cancelReason = CANCEL_REASONS[order.cancel_reason] || "Not specified";
+  }
+  if (topic.startsWith("orders/create:cod")) {
+    Object.assign(topicExtra, buildCodPayloads(order));
+  }
+  return buildOrderContext(order, topicExtra, options);
+};
+
+// Function to resend an order notification from the stored order (audience "customer", "admin" or "both")
+// Returns { error } when the order or topic can't be resent
+const resendOrderNotification = async (orderRef, topic, audience = "customer") => {
+  if (!RESENDABLE_TOPICS.includes(topic)) {
+    return { error: `Topic must be one of ${RESENDABLE_TOPICS.join(", ")}` };
+  }
+  if (!["customer", "admin", "both"].includes(audience)) {
+    return { error: "Audience must be customer, admin or both" };
+  }
+
+  const record = findOrderRecord(orderRef);
+  if (!record) {
+    return { error: `Order ${orderRef} is not in the local order store` };
+  }
+
+  const order = record.snapshot;
+  const context = buildTopicContext(order, topic, { tenant: getTenantById(record.tenantId), correlationId: crypto.randomUUID() });
+
+  let customerQueued = false;
+  if (audience !== "admin") {
+    if (!context.customerWhatsapp && !context.customerEmail) {
+      return { error: `Order ${order.name} has no usable customer phone or email` };
+    }
+    customerQueued = Boolean(await sendCustomerWhatsapp(context.customerWhatsapp, topic, context));
+  }
+  if (audience !== "customer") {
+    await sendAdminWhatsapp(topic, context);
+  }
+
+  logger.info("Order notification resent", { topic, orderName: order.name, audience, correlationId: context.correlationId });
+  return { order: order.name, topic, audience, customerQueued };
+};
+
+// Topics the order-notifier CLI can replay through their webhook processor
+const REPLAYABLE_TOPICS = ["orders/create", "orders/fulfilled"];
+
+// Function to replay an order payload through a topic's webhook processor, as if Shopify had
+// sent it again (used by the CLI). Resolves once the notifications are queued
+const replayOrderWebhook = async (order, topic, tenant) => {
+  const processor = { "orders/create": processOrderCreated, "orders/fulfilled": processOrderFulfilled }[topic];
+  if (!processor) {
+    throw new Error(`Topic must be one of ${REPLAYABLE_TOPICS.join(", ")}`);
+  }
+
+  const delivery = {
+    topic,
+    tenantId: tenant.id,
+    orderId: order?.id,
+    orderName: order?.name,
+    correlationId: crypto.randomUUID(),
+    replay: true,
+  };
+  await processor(order, delivery);
+  return delivery;
+};
+
+// Function to render the templates a topic would send for an order without queueing anything
+// (CLI dry runs). COD orders get the confirmation template, like processOrderCreated
+const previewOrderNotification = (order, topic, tenant) => {
+  assertOrderPayload(order);
+  const context = buildTopicContext(order, topic, { tenant }, { preview: true });
+
+  // Templates WhatsApp would reject are returned as { error, text } (they'd be handled as when sending)
+  const render = (renderTopic, audience, renderContext) => {
+    try {
+      return renderTemplate(renderTopic, audience, renderContext);
+    } catch (err) {
+      if (!(err instanceof TemplateRenderError)) throw err;
+      return { error: err.message, text: err.text };
+    }
+  };
+
+  const customerTopic = topic === "orders/create"
+    && isCashOnDelivery(order)
+    && context.customerWhatsapp
+    && getTemplateDefinition("orders/create:cod", "customer", tenant)
+    ? "orders/create:cod"
+    : topic;
+  const customerContext = customerTopic === topic ? context : buildTopicContext(order, customerTopic, { tenant }, { preview: true });
+
+  return {
+    customer: {
+      topic: customerTopic,
+      phone: context.customerWhatsapp,
+      email: context.customerEmail,
+      template: render(customerTopic, "customer", customerContext),
+    },
+    admins: getTemplateDefinition(topic, "admin", tenant)
+      ? selectAdmins(tenant, topic, order).map((admin) => ({
+        name: admin.name,
+        phone: admin.phone,
+        email: admin.email,
+        template: render(topic, "admin", { ...context, admin }),
+      }))
+      : [],
+  };
+};
+
+// Function to render one topic's template for an order (admin templates are addressed to adminName)
+// The order's own phone isn't needed, so a missing one isn't recorded as rejected
+// Returns { template, correlationId }
+const renderOrderTemplate = ({ order, topic, audience = "customer", tenant, adminName = "Admin" }) => {
+  assertOrderPayload(order);
+  const context = buildTopicContext(
+    order,
+    topic,
+    { tenant, correlationId: crypto.randomUUID(), admin: { name: adminName } },
+    { preview: true }
+  );
+  const template = renderTemplate(topic, audience, context);
+  if (!template) {
+    throw new Error(`No ${audience} template configured for ${topic}`);
+  }
+  return { template, correlationId: context.correlationId };
+};
+
+// Function to queue one topic's template for an order to a given WhatsApp number (CLI test sends)
+// Consent and channel routing are skipped: the operator picked the number
+const sendTemplateToNumber = ({ phone, ...options }) => {
+  const { order, topic, audience = "customer", tenant } = options;
+  const { template, correlationId } = renderOrderTemplate(options);
+
+  return enqueueMessage(
+    { whatsapp: buildTemplatePayload(phone, template), text: template.text, subject: template.subject },
+    {
+      tenantId: tenant.id,
+      audience,
+      recipient: phone,
+      orderId: order.id,
+      orderName: order.name,
+      topic,
+      templateName: template.name,
+      category: template.category,
+      correlationId,
+    }
+  );
+};
+
+// Function to send each shop's daily/weekly digest once its scheduled time has passed
+// (topic "digest:daily" / "digest:weekly", so admin roles choose who gets it)
+const sendDueDigests = async () => {
+  pruneDigests();
+
+  for (const { tenant, period, date } of findDueDigests(listTenants())) {
+    const digest = buildDigest({ tenant, date, period });
+    await sendAdminWhatsappText(formatDigest(digest), { tenantId: tenant.id, topic: `digest:${period}` });
+    markDigestSent(tenant.id, period, date);
+    logger.info("Digest queued", { shop: tenant.name, period, date, orders: digest.orderCount });
+  }
+};
+
+registerWebhookHandler("orders/create", processOrderCreated);
+registerWebhookHandler("orders/fulfilled", processOrderFulfilled);
+registerWebhookHandler("orders/partially_fulfilled", processOrderFulfilled);
+registerWebhookHandler("orders/cancelled", processOrderCancelled);
+registerWebhookHandler("orders/paid", processOrderPaid);
+registerWebhookHandler("refunds/create", processRefundCreated);
+registerWebhookHandler("fulfillments/update", processFulfillmentUpdated);
+registerWebhookHandler("checkouts/create", processCheckout);
+registerWebhookHandler("checkouts/update", processCheckout);
+
+// Report background processing failures to admins
+setWebhookErrorReporter(async (delivery, error) => {
+  await sendAdminWhatsappText(
+    `Dear Admin, processing of the ${delivery.topic} webhook for order ${delivery.orderName || delivery.orderId || "Unknown"} failed: ${error.message}`,
+    {
+      tenantId: delivery.tenantId,
+      orderId: delivery.orderId,
+      orderName: delivery.orderName,
+      topic: delivery.topic,
+      correlationId: delivery.correlationId,
+    }
+  );
+});
+
+// Webhook route: resolve the shop, verify, persist, acknowledge immediately, then process in the background
+const acceptWebhook = (req, res) => {
+  updateActivity(); // Update activity on webhook calls
+  logger.info("Webhook received", {
+    correlationId: req.delivery.correlationId,
+    topic: req.delivery.topic,
+    shop: req.tenant.name,
+    orderName: req.delivery.orderName,
+    orderId: req.delivery.orderId,
+  });
+  webhooksReceived.inc({ topic: req.delivery.topic, shop: req.tenant.id });
+
+  enqueueWebhook(req.delivery, req.body);
+  res.set("X-Correlation-Id", req.delivery.correlationId);
+  res.status(200).send("OK");
+};
+
+// Function to record WhatsApp delivery statuses and alert admins when a confirmation fails
+const processWhatsappStatuses = async (body) => {
+  for (const update of getStatusUpdates(body)) {
+    const previous = findNotificationByMessageId(update.id);
+    const entry = applyDeliveryStatus(update.id, update.status, update.timestamp, update.errors);
+
+    if (!entry) {
+      logger.debug("Status for unknown message", { providerMessageId: update.id, status: update.status });
+      continue;
+    }
+    logger.info("Message status updated", {
+      correlationId: entry.correlationId,
+      providerMessageId: update.id,
+      template: entry.templateName || entry.type,
+      status: update.status,
+    });
+
+    // Alert once when a customer's order confirmation can't be delivered
+    // (COD orders are confirmed with the orders/create:cod variant)
+    const confirmationFailed = update.status === "failed"
+      && previous?.deliveryStatus !== "failed"
+      && entry.audience === "customer"
+      && entry.topic?.split(":")[0] === "orders/create";
+    if (confirmationFailed) {
+      await sendAdminWhatsappText(
+        `Dear Admin, the order confirmation for ${entry.orderName || "an order"} could not be delivered to ${entry.recipient}: ${entry.error}`,
+        { tenantId: entry.tenantId, orderId: entry.orderId, orderName: entry.orderName, topic: entry.topic, correlationId: entry.correlationId }
+      );
+    }
+  }
+};
+
+// Function to forward a customer's WhatsApp message to the admins
+const forwardToAdmins = async (message, orders, reason) => {
+  const latestOrder = orders[0];
+  await sendAdminWhatsappText(
+    `Dear Admin, ${reason} from ${message.name || "a customer"} (+${message.from})`
+      + `${latestOrder ? ` about order ${latestOrder.name}` : ""}: "${message.text || `[${message.type}]`}"`,
+    { tenantId: message.tenant.id, orderId: latestOrder?.id, orderName: latestOrder?.name, topic: "inbound", correlationId: message.id }
+  );
+};
+
+// Function to honour a customer's STOP/START reply
+const handleConsentKeyword = async (message, { action, categories }) => {
+  const meta = { tenantId: message.tenant.id, topic: `consent:${action}`, correlationId: message.id };
+
+  if (action === "opt_out") {
+    optOut(message.tenant.id, message.from, categories, { source: "whatsapp", reason: message.text });
+    logger.info("Customer opted out", { phone: message.from, categories, correlationId: message.id });
+    await sendCustomerWhatsappText(
+      message.from,
+      categories.includes("transactional")
+        ? "You won't receive any more messages from us on WhatsApp. Reply START to subscribe again."
+        : "You won't receive any more offers from us on WhatsApp. You'll still get updates about your orders. Reply START to subscribe again.",
+      meta
+    );
+    return;
+  }
+
+  optIn(message.tenant.id, message.from, { source: "whatsapp", reason: message.text });
+  logger.info("Customer opted in to WhatsApp messages", { phone: message.from, correlationId: message.id });
+  await sendCustomerWhatsappText(message.from, "You're subscribed to WhatsApp updates from us again. Reply STOP to unsubscribe.", meta);
+};
+
+// Function to handle a customer's Confirm/Cancel reply to a COD confirmation
+const handleCodReply = async (message, { action, orderId }) => {
+  const confirmation = getCodConfirmation(orderId);
+
+  // Only the number the confirmation was sent to may answer it, on the shop's own number
+  const tenant = confirmation && getTenantById(confirmation.tenantId);
+  if (!confirmation || confirmation.phone !== message.from || tenant?.id !== message.tenant.id) {
+    logger.warn("COD reply from unexpected number", { orderId, phone: message.from, correlationId: message.id });
+    await forwardToAdmins(message, [], "Unrecognised COD confirmation reply");
+    return;
+  }
+
+  const meta = {
+    tenantId: tenant.id,
+    orderId: confirmation.orderId,
+    orderName: confirmation.orderName,
+    topic: `cod:${action}`,
+    correlationId: message.id,
+  };
+  if (["confirmed", "cancelled"].includes(confirmation.status)) {
+    await sendCustomerWhatsappText(message.from, `Order ${confirmation.orderName} has already been ${confirmation.status}.`, meta);
+    return;
+  }
+
+  const resolvedAt = new Date().toISOString();
+  let tagError = null;
+
+  if (action === "confirm") {
+    updateCodConfirmation(orderId, { status: "confirmed", resolvedAt });
+    try {
+      await tagOrder(tenant, orderId, ["cod-confirmed"], `COD confirmed by customer on WhatsApp at ${resolvedAt}`);
+    } catch (err) {
+      tagError = err.response?.data?.errors || err.message;
+      logger.error("Failed to tag COD order as confirmed", { orderName: confirmation.orderName, error: tagError, correlationId: message.id });
+    }
+
+    await sendCustomerWhatsappText(message.from, `Thank you! Your order ${confirmation.orderName} is confirmed and will be shipped soon.`, meta);
+    await sendAdminWhatsappText(
+      `Dear Admin, COD order ${confirmation.orderName} was confirmed by the customer.${tagError ? ` Tagging it in Shopify failed (${tagError}), please tag it manually.` : ""}`,
+      meta
+    );
+    return;
+  }
+
+  updateCodConfirmation(orderId, { status: "cancelled", resolvedAt });
+  // Cancelling and tagging fail separately, so the messages say which step needs doing by hand
+  let cancelError = null;
+  if (COD_CANCEL_ACTION === "cancel") {
+    try {
+      await cancelOrder(tenant, orderId, "customer");
+    } catch (err) {
+      cancelError = err.response?.data?.errors || err.message;
+      logger.error("Failed to cancel COD order in Shopify", { orderName: confirmation.orderName, error: cancelError, correlationId: message.id });
+    }
+  }
+  try {
+    await tagOrder(tenant, orderId, ["cod-cancelled-by-customer"], `COD order cancelled by customer on WhatsApp at ${resolvedAt}`);
+  } catch (err) {
+    tagError = err.response?.data?.errors || err.message;
+    logger.error("Failed to tag COD order as cancelled", { orderName: confirmation.orderName, error: tagError, correlationId: message.id });
+  }
+
+  await sendCustomerWhatsappText(
+    message.from,
+    COD_CANCEL_ACTION === "cancel" && !cancelError
+      ? `Your order ${confirmation.orderName} has been cancelled.`
+      : `We've received your request to cancel order ${confirmation.orderName}. Our team will confirm shortly.`,
+    meta
+  );
+  await sendAdminWhatsappText(
+    `Dear Admin, the customer cancelled COD order ${confirmation.orderName}.`
+      + `${cancelError ? ` Cancelling it in Shopify failed (${cancelError}), please cancel it manually.` : ""}`
+      + `${tagError ? ` Tagging it in Shopify failed (${tagError}), please tag it manually.` : ""}`,
+    meta
+  );
+};
+
+// Function to remind customers who haven't answered their COD confirmation and flag them to admins
+const checkCodConfirmations = async () => {
+  pruneCodConfirmations();
+
+  for (const confirmation of findOverdueCodConfirmations()) {
+    const order = getOrder(confirmation.orderId);
+    const tenant = getTenantById(confirmation.tenantId);
+    updateCodConfirmation(confirmation.orderId, { status: "reminded", remindedAt: new Date().toISOString() });
+    logger.info("COD order unconfirmed, sending reminder", { orderName: confirmation.orderName, timeoutHours: COD_CONFIRMATION_TIMEOUT_HOURS });
+
+    if (order) {
+      await sendCustomerWhatsapp(confirmation.phone, "orders/create:cod_reminder", {
+        ...buildOrderContext(order, { tenant }),
+        ...buildCodPayloads(order),
+      });
+    }
+    await sendAdminWhatsappText(
+      `Dear Admin, COD order ${confirmation.orderName} has not been confirmed by the customer after ${COD_CONFIRMATION_TIMEOUT_HOURS} hours. A reminder has been sent.`,
+      { tenantId: confirmation.tenantId, orderId: confirmation.orderId, orderName: confirmation.orderName, topic: "cod:unconfirmed" }
+    );
+  }
+};
+
+// Function to answer an inbound customer message (track, cancel, talk to human, or forward)
+// message.tenant is the shop that owns the WhatsApp number the customer wrote to
+const handleInboundMessage = async (message) => {
+  if (!markInboundSeen(message)) {
+    logger.info("Inbound message already handled", { correlationId: message.id });
+    return;
+  }
+
+  // STOP / START keywords
+  const consentKeyword = parseConsentKeyword(message.text);
+  if (consentKeyword) {
+    await handleConsentKeyword(message, consentKeyword);
+    return;
+  }
+
+  // COD Confirm/Cancel buttons
+  const codReply = parseCodPayload(message.quickReply);
+  if (codReply) {
+    await handleCodReply(message, codReply);
+    return;
+  }
+
+  const intent = detectIntent(message);
+  const orders = findOrdersByPhone(message.from, message.tenant.id);
+  const latestOrder = orders[0];
+  const replyMeta = {
+    tenantId: message.tenant.id,
+    orderId: latestOrder?.id,
+    orderName: latestOrder?.name,
+    topic: `inbound:${intent}`,
+    correlationId: message.id,
+  };
+  logger.info("Inbound message", { phone: message.from, intent, orders: orders.length, correlationId: message.id });
+
+  if (intent === "track") {
+    if (orders.length === 0) {
+      await sendCustomerWhatsappText(message.from, "We couldn't find a recent order for this number. Our team will get back to you shortly.", replyMeta);
+      await forwardToAdmins(message, orders, "Order status question (no order found)");
+      return;
+    }
+    await sendCustomerWhatsappText(message.from, orders.map(describeOrderStatus).join("\n\n"), replyMeta);
+    return;
+  }
+
+  if (intent === "cancel") {
+    if (!latestOrder) {
+      await sendCustomerWhatsappText(message.from, "We couldn't find a recent order for this number. Our team will get back to you shortly.", replyMeta);
+      await forwardToAdmins(message, orders, "Cancellation request (no order found)");
+      return;
+    }
+    if (!isCancellable(latestOrder)) {
+      await sendCustomerWhatsappText(
+        message.from,
+        latestOrder.cancelled_at
+          ? `Order ${latestOrder.name} has already been cancelled.`
+          : `Order ${latestOrder.name} has already been shipped, so it can't be cancelled. Our team will contact you about a return.`,
+        replyMeta
+      );
+      await forwardToAdmins(message, orders, "Cancellation request for a shipped order");
+      return;
+    }
+    await sendCustomerWhatsappText(message.from, `We've received your request to cancel order ${latestOrder.name}. Our team will confirm the cancellation shortly.`, replyMeta);
+    await forwardToAdmins(message, orders, "Cancellation request");
+    return;
+  }
+
+  if (intent === "human") {
+    await sendCustomerWhatsappText(message.from, "Thanks for reaching out! Someone from our team will reply to you here shortly.", replyMeta);
+    await forwardToAdmins(message, orders, "Customer asked to talk to a person");
+    return;
+  }
+
+  await forwardToAdmins(message, orders, "New message");
+};
+
+// Function to gather the configuration checks shown at startup and on the dashboard
+// (secrets and phone numbers are masked)
+const getConfigChecks = () => {
+  const check = (name, value, ok = Boolean(value)) => ({ name, ok, value: ok ? maskSecret(value) : null });
+
+  return {
+    settings: [
+      check("SHOPIFY_WEBHOOK_SECRET", process.env.SHOPIFY_WEBHOOK_SECRET),
+      check("WHATSAPP_PHONE_NUMBER_ID", process.env.WHATSAPP_PHONE_NUMBER_ID),
+      check("WHATSAPP_TOKEN", process.env.WHATSAPP_TOKEN),
+      { name: "KEEP_ALIVE_URL", ok: Boolean(process.env.KEEP_ALIVE_URL), value: process.env.KEEP_ALIVE_URL || null },
+      { name: "TRUST_PROXY", ok: Boolean(process.env.TRUST_PROXY), value: process.env.TRUST_PROXY || null },
+      check("ADMIN_API_TOKEN", process.env.ADMIN_API_TOKEN),
+      check("DASHBOARD_PASSWORD", process.env.DASHBOARD_PASSWORD),
+      check("WHATSAPP_APP_SECRET", process.env.WHATSAPP_APP_SECRET),
+      check("WHATSAPP_VERIFY_TOKEN", process.env.WHATSAPP_VERIFY_TOKEN),
+      { name: "SMS_API_URL", ok: getChannel("sms").isConfigured(), value: null },
+      { name: "SMTP_HOST / EMAIL_FROM", ok: getChannel("email").isConfigured(), value: null },
+      check("SLACK_WEBHOOK_URL", process.env.SLACK_WEBHOOK_URL, getChannel("slack").isConfigured()),
+    ],
+    shops: listTenants().map((tenant) => ({
+      name: tenant.name,
+      shopDomain: tenant.shopDomain,
+      checks: [
+        {
+          name: "Webhook secret",
+          ok: tenant.shopifyWebhookSecrets.length > 0,
+          value: tenant.shopifyWebhookSecrets.map(maskSecret).join(", ") || null,
+          required: true,
+        },
+        {
+          ...check("WhatsApp number / token", tenant.whatsappToken, Boolean(tenant.whatsappPhoneNumberId && tenant.whatsappToken)),
+          required: true,
+        },
+        check("Shopify Admin API", tenant.shopifyAdminToken, isShopifyAdminConfigured(tenant)),
+      ],
+      admins: getAdmins(tenant).map(({ contact, ...admin }) => ({
+        ...admin,
+        phone: maskPhone(admin.phone),
+        email: maskEmail(admin.email),
+      })),
+    })),
+    channels: { customer: describeChannelRoute("customer"), admin: describeChannelRoute("admin") },
+    digests: describeDigestSchedule(),
+    deliveryRetentionHours: DELIVERY_RETENTION_HOURS,
+    webhookMaxAgeMinutes: WEBHOOK_MAX_AGE_MINUTES,
+  };
+};
+
+// Function to read a notice passed back to a dashboard page after a form post
+const getDashboardNotice = (req) => (typeof req.query.notice === "string" ? req.query.notice : null);
+
+// Function to check every tenant's template and admin configuration and the channel routing
+// Returns the TemplateConfigError, ChannelConfigError, AdminConfigError or DigestConfigError found, or null
+const findConfigurationError = () => {
+  try {
+    // Each shop in tenants.json lists its own admins (there is no shared roster to fall back on)
+    const shopsWithoutAdmins = isMultiTenant() ? listTenants().filter((tenant) => tenant.admins.length === 0) : [];
+    if (shopsWithoutAdmins.length > 0) {
+      throw new AdminConfigError(
+        `Invalid admin configuration in ${TENANTS_CONFIG_PATH}`,
+        shopsWithoutAdmins.map((tenant) => `${tenant.name} lists no "admins" (each shop needs its own)`)
+      );
+    }
+
+    listTenants().forEach((tenant) => {
+      const templateConfig = getTemplateConfig(tenant.templateConfigPath);
+      logger.info("Template configuration loaded", { shop: tenant.name, topics: Object.keys(templateConfig) });
+      if (tenant.admins) {
+        validateAdminConfig({ roles: { ...getAdminConfig().roles, ...tenant.roles }, admins: tenant.admins }, `${TENANTS_CONFIG_PATH} (${tenant.name})`);
+      }
+    });
+    ["customer", "admin"].forEach((audience) => {
+      logger.info("Channel routing loaded", { audience, route: describeChannelRoute(audience) });
+    });
+    validateDigestSchedule();
+  } catch (err) {
+    if (![TemplateConfigError, ChannelConfigError, AdminConfigError, DigestConfigError].some((ErrorClass) => err instanceof ErrorClass)) throw err;
+    return err;
+  }
+  return null;
+};
+
+// Function to validate the configuration at startup
+// Returns false (after logging the problems) when the configuration is invalid
+const validateConfiguration = () => {
+  const error = findConfigurationError();
+  if (error) {
+    logger.error("Invalid configuration", { error: error.message, problems: error.problems });
+    return false;
+  }
+  return true;
+};
+
+// Function to create the Express app with every route (it doesn't listen or start background jobs)
+const createApp = () => {
+  const app = express();
+  app.use(bodyParser.json({ verify: (req, res, buf) => (req.rawBody = buf) }));
+
+  // Behind a proxy (Render, Heroku, a load balancer) set TRUST_PROXY to the number of hops
+  // so req.ip is the client address the rate limits are keyed on
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+  }
+
+  // Activity tracking middleware (must be before other middleware)
+  app.use((req, res, next) => {
+    // Don't count keep-alive requests as activity
+    if (req.get('X-Keep-Alive') !== 'true') {
+      updateActivity();
+    }
+    next();
+  });
+
+  // Logging middleware
+  app.use((req, res, next) => {
+    const isKeepAlive = req.get('X-Keep-Alive') === 'true';
+    if (!isKeepAlive) {
+      logger.info("Request", { method: req.method, path: req.path, ip: req.ip });
+    } else {
+      logger.debug("Keep-alive request", { method: req.method, path: req.path });
+    }
+    next();
+  });
+
+  // Rate limiting middleware (webhooks are limited separately so admin traffic can't starve them)
+  // Only rejected webhooks count: without TRUST_PROXY every request comes from the proxy's IP,
+  // and Shopify's and Meta's signed webhooks must not be turned away on a busy minute
+  app.use("/webhook", createRateLimiter({ name: "Webhook", max: WEBHOOK_RATE_LIMIT, skipSuccessfulRequests: true }));
+  app.use(["/admin", "/dashboard", "/test", "/test-tracking"], createRateLimiter({ name: "Admin", max: ADMIN_RATE_LIMIT }));
+
+  // Main webhook handler for new orders
+  app.post("/webhook/orders/create", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // Order fulfillment webhook
+  app.post("/webhook/orders/fulfilled", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // Partial fulfillment webhook
+  app.post("/webhook/orders/partially_fulfilled", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // Order cancellation webhook
+  app.post("/webhook/orders/cancelled", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // Order payment webhook
+  app.post("/webhook/orders/paid", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // Refund webhook
+  app.post("/webhook/refunds/create", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // Fulfillment shipment status webhook
+  app.post("/webhook/fulfillments/update", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // Checkout webhooks (abandoned checkout recovery)
+  app.post("/webhook/checkouts/create", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+  app.post("/webhook/checkouts/update", resolveTenant, verifyShopifyWebhook, dedupeWebhook, acceptWebhook);
+
+  // WhatsApp Cloud API webhook verification (GET challenge from Meta)
+  app.get("/webhook/whatsapp", handleWhatsappVerification);
+
+  // WhatsApp Cloud API webhook (message status updates and inbound customer messages)
+  app.post("/webhook/whatsapp", verifyWhatsappSignature, (req, res) => {
+    updateActivity(); // Update activity on webhook calls
+    res.status(200).send("OK");
+
+    processWhatsappStatuses(req.body).catch((error) => {
+      logger.error("Error processing WhatsApp statuses", { error });
+    });
+
+    getInboundMessages(req.body).forEach((message) => {
+      const tenant = getTenantForPhoneNumberId(message.phoneNumberId);
+      if (!tenant) {
+        logger.warn("Inbound message to unknown WhatsApp number", { correlationId: message.id, phoneNumberId: message.phoneNumberId });
+        return;
+      }
+
+      handleInboundMessage({ ...message, tenant }).catch((error) => {
+        logger.error("Error handling inbound message", { correlationId: message.id, error });
+      });
+    });
+  });
+
+  // Enhanced health check with activity info
+  app.get("/health", (req, res) => {
+    const isKeepAlive = req.get('X-Keep-Alive') === 'true';
+    const timeSinceLastActivity = Date.now() - lastActivity;
+    
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      lastActivity: new Date(lastActivity).toISOString(),
+      timeSinceLastActivity: Math.round(timeSinceLastActivity / 1000),
+      isKeepAliveRequest: isKeepAlive
+    });
+  });
+
+  // Activity status endpoint
+  app.get('/activity-status', (req, res) => {
+    const timeSinceLastActivity = Date.now() - lastActivity;
+    res.json({
+      lastActivity: new Date(lastActivity).toISOString(),
+      timeSinceLastActivity: Math.round(timeSinceLastActivity / 1000),
+      thresholdSeconds: INACTIVITY_THRESHOLD / 1000,
+      isInactive: timeSinceLastActivity > INACTIVITY_THRESHOLD,
+      keepAliveEnabled: !!(process.env.KEEP_ALIVE_URL)
+    });
+  });
+
+  // Webhook delivery lookup (by X-Shopify-Webhook-Id)
+  app.get("/admin/deliveries/:webhookId", requireAdminToken, (req, res) => {
+    const delivery = getDelivery(req.params.webhookId);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.json(delivery);
+  });
+
+  // Webhook delivery search (?order_id=...&topic=...&status=...)
+  app.get("/admin/deliveries", requireAdminToken, (req, res) => {
+    const results = findDeliveries({
+      orderId: req.query.order_id,
+      topic: req.query.topic,
+      status: req.query.status,
+    });
+    res.json({ count: results.length, deliveries: results.map(summarizeDelivery) });
+  });
+
+  // Retry a failed or rejected delivery from its stored payload
+  app.post("/admin/deliveries/:webhookId/retry", requireAdminToken, (req, res) => {
+    const delivery = retryDelivery(req.params.webhookId);
+    if (!delivery) {
+      return res.status(409).json({ error: "Delivery not found or not in a retryable state" });
+    }
+    logger.info("Delivery re-queued by admin", { webhookKey: delivery.key, correlationId: delivery.correlationId });
+    res.json(summarizeDelivery(delivery));
+  });
+
+  // Processing outcome for an order (by Shopify order id or order name)
+  app.get("/admin/orders/:orderRef/status", requireAdminToken, (req, res) => {
+    const results = findDeliveries({ orderId: req.params.orderRef });
+    if (results.length === 0) {
+      return res.status(404).json({ error: "No deliveries recorded for this order" });
+    }
+    res.json({
+      order: req.params.orderRef,
+      processed: results.every((delivery) => delivery.status === "processed"),
+      deliveries: results.map(summarizeDelivery),
+    });
+  });
+
+  // Resend an order notification ({ "topic": "orders/fulfilled", "audience": "customer" | "admin" | "both" })
+  app.post("/admin/orders/:orderRef/resend", requireAdminToken, async (req, res) => {
+    const result = await resendOrderNotification(req.params.orderRef, req.body?.topic, req.body?.audience);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  });
+
+  // Replay an order payload through a webhook processor (order-notifier replay while the server runs)
+  // ({ "topic": "orders/create", "shop": "nanic.myshopify.com", "order": { ... } })
+  app.post("/admin/replay", requireAdminToken, async (req, res) => {
+    const { topic, shop, order } = req.body || {};
+    const tenant = getTenantById(shop);
+    if (!REPLAYABLE_TOPICS.includes(topic)) {
+      return res.status(400).json({ error: `Topic must be one of ${REPLAYABLE_TOPICS.join(", ")}` });
+    }
+    if (!tenant) {
+      return res.status(400).json({ error: `Unknown shop ${shop}` });
+    }
+
+    try {
+      const delivery = await replayOrderWebhook(order, topic, tenant);
+      logger.info("Order webhook replayed by admin", { topic, orderName: order.name, correlationId: delivery.correlationId });
+      res.json({
+        correlationId: delivery.correlationId,
+        notifications: searchNotifications({ correlationId: delivery.correlationId, limit: 1000 }).reverse(),
+      });
+    } catch (err) {
+      if (!(err instanceof WebhookPayloadError)) throw err;
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Send one topic's template for an order to a number (order-notifier send-template while the server runs)
+  // ({ "topic": "orders/fulfilled", "audience": "customer", "shop": "...", "phone": "919845012345", "order": { ... } })
+  app.post("/admin/send-template", requireAdminToken, (req, res) => {
+    const { topic, audience = "customer", shop, phone, order } = req.body || {};
+    const tenant = getTenantById(shop);
+    if (!RESENDABLE_TOPICS.includes(String(topic).split(":")[0])) {
+      return res.status(400).json({ error: `Topic must be one of ${RESENDABLE_TOPICS.join(", ")}` });
+    }
+    if (!["customer", "admin"].includes(audience)) {
+      return res.status(400).json({ error: "Audience must be customer or admin" });
+    }
+    if (!tenant) {
+      return res.status(400).json({ error: `Unknown shop ${shop}` });
+    }
+    const { phone: recipient, reason } = normalizePhone(phone);
+    if (!recipient) {
+      return res.status(400).json({ error: `Invalid WhatsApp number ${phone}: ${reason}` });
+    }
+
+    // The order payload and template come from the operator, so any rendering problem is theirs to fix
+    try {
+      const message = sendTemplateToNumber({ order, topic, audience, tenant, phone: recipient });
+      logger.info("Test template sent by admin", { topic, audience, orderName: order.name, correlationId: message.meta.correlationId });
+      res.json(getNotification(message.id));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Prometheus metrics (scrape with the admin token as a bearer token)
+  app.get("/metrics", requireAdminToken, (req, res) => {
+    Object.entries(getQueueStats()).forEach(([status, count]) => queueDepth.set({ status }, count));
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+
+  // Outbound queue status
+  app.get("/admin/queue", requireAdminToken, (req, res) => {
+    res.json(getQueueStats());
+  });
+
+  // Dead-lettered messages
+  app.get("/admin/dead-letters", requireAdminToken, (req, res) => {
+    const deadLetters = getDeadLetters();
+    res.json({ count: deadLetters.length, messages: deadLetters });
+  });
+
+  // Replay a dead-lettered message
+  app.post("/admin/dead-letters/:id/replay", requireAdminToken, (req, res) => {
+    const message = replayDeadLetter(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: "Dead-lettered message not found" });
+    }
+    logger.info("Dead-lettered message replayed by admin", { messageId: message.id, correlationId: message.meta.correlationId });
+    res.json(message);
+  });
+
+  // Discard a dead-lettered message
+  app.delete("/admin/dead-letters/:id", requireAdminToken, (req, res) => {
+    if (!discardDeadLetter(req.params.id)) {
+      return res.status(404).json({ error: "Dead-lettered message not found" });
+    }
+    res.status(204).end();
+  });
+
+  // Notification history search (?order=...&phone=...&from=...&to=...&status=...&topic=...&limit=...)
+  app.get("/admin/notifications", requireAdminToken, (req, res) => {
+    const notifications = searchNotifications({
+      order: req.query.order,
+      phone: req.query.phone,
+      status: req.query.status,
+      topic: req.query.topic,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+    });
+    res.json({ count: notifications.length, notifications });
+  });
+
+  // Single notification by id
+  app.get("/admin/notifications/:id", requireAdminToken, (req, res) => {
+    const notification = getNotification(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+    res.json(notification);
+  });
+
+  // Suppression list (customers who opted out of some or all messages, ?shop=... for one shop)
+  app.get("/admin/suppressions", requireAdminToken, (req, res) => {
+    const tenant = req.query.shop ? getTenantById(req.query.shop) : null;
+    if (req.query.shop && !tenant) {
+      return res.status(400).json({ error: "Unknown shop" });
+    }
+    const suppressions = listSuppressions(tenant?.id);
+    res.json({ count: suppressions.length, suppressions });
+  });
+
+  // Consent record for a phone number with a shop (?shop=...)
+  app.get("/admin/suppressions/:phone", requireAdminToken, (req, res) => {
+    const tenant = getTenantById(req.query.shop);
+    if (!tenant) {
+      return res.status(400).json({ error: "Unknown or missing shop" });
+    }
+    const { phone, reason } = normalizePhone(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${reason}` });
+    }
+    res.json(getConsent(tenant.id, phone) || { tenantId: tenant.id, phone, suppressed: [], promotionalOptIn: null });
+  });
+
+  // Suppress a phone number for a shop (?shop=..., body: { categories: ["transactional", "promotional"], reason })
+  app.put("/admin/suppressions/:phone", requireAdminToken, (req, res) => {
+    const tenant = getTenantById(req.query.shop);
+    if (!tenant) {
+      return res.status(400).json({ error: "Unknown or missing shop" });
+    }
+    const { phone, reason } = normalizePhone(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${reason}` });
+    }
+
+    const categories = req.body?.categories || MESSAGE_CATEGORIES;
+    if (!Array.isArray(categories) || !categories.every((category) => MESSAGE_CATEGORIES.includes(category))) {
+      return res.status(400).json({ error: `categories must be a list of ${MESSAGE_CATEGORIES.join(", ")}` });
+    }
+
+    logger.info("Phone suppressed by admin", { tenantId: tenant.id, phone, categories });
+    res.json(optOut(tenant.id, phone, categories, { source: "admin", reason: req.body?.reason || null }));
+  });
+
+  // Remove a phone number from a shop's suppression list (?shop=...)
+  app.delete("/admin/suppressions/:phone", requireAdminToken, (req, res) => {
+    const tenant = getTenantById(req.query.shop);
+    if (!tenant) {
+      return res.status(400).json({ error: "Unknown or missing shop" });
+    }
+    const { phone, reason } = normalizePhone(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({ error: `Invalid phone number: ${reason}` });
+    }
+    if (!clearConsent(tenant.id, phone)) {
+      return res.status(404).json({ error: "Phone number not on the suppression list" });
+    }
+    logger.info("Phone removed from suppression list by admin", { tenantId: tenant.id, phone });
+    res.status(204).end();
+  });
+
+  // Abandoned checkout reminders (?status=scheduled|sent|cancelled|skipped)
+  app.get("/admin/abandoned-checkouts", requireAdminToken, (req, res) => {
+    const reminders = listCheckoutReminders(req.query.status);
+    res.json({ count: reminders.length, reminders });
+  });
+
+  // COD confirmations (?status=awaiting|reminded|confirmed|cancelled)
+  app.get("/admin/cod-confirmations", requireAdminToken, (req, res) => {
+    const confirmations = listCodConfirmations(req.query.status);
+    res.json({ count: confirmations.length, confirmations });
+  });
+
+  // Orders whose phone numbers were all rejected
+  app.get("/admin/phones/rejected", requireAdminToken, (req, res) => {
+    const rejected = getRejectedPhones();
+    res.json({ count: rejected.length, orders: rejected });
+  });
+
+  // Digest preview for any date (?date=YYYY-MM-DD&period=daily|weekly&shop=...), without sending it
+  app.get("/admin/digest", requireAdminToken, (req, res) => {
+    const tenant = getTenantById(req.query.shop);
+    if (!tenant) {
+      return res.status(400).json({ error: "Unknown or missing shop" });
+    }
+
+    try {
+      const digest = buildDigest({
+        tenant,
+        date: req.query.date || getLocalParts(new Date()).date,
+        period: req.query.period || "daily",
+      });
+      res.json({ digest, message: formatDigest(digest) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Carrier registry
+  app.get("/admin/carriers", requireAdminToken, (req, res) => {
+    res.json({ carriers: getCarriers() });
+  });
+
+  // Carriers seen on fulfillments but missing from the registry
+  app.get("/admin/carriers/unknown", requireAdminToken, (req, res) => {
+    const carriers = getUnknownCarriers();
+    res.json({ count: carriers.length, carriers });
+  });
+
+  // Dashboard: overview with configuration checks
+  app.get("/dashboard", requireDashboardPassword, (req, res) => {
+    const deliveryCounts = findDeliveries().reduce(
+      (counts, delivery) => ({ ...counts, [delivery.status]: (counts[delivery.status] || 0) + 1 }),
+      {}
+    );
+    res.send(renderOverview({
+      checks: getConfigChecks(),
+      queueStats: getQueueStats(),
+      deliveryCounts,
+      topics: RESENDABLE_TOPICS,
+      formToken: getDashboardFormToken(),
+      notice: getDashboardNotice(req),
+    }));
+  });
+
+  // Dashboard: recent webhook deliveries
+  app.get("/dashboard/deliveries", requireDashboardPassword, (req, res) => {
+    const status = typeof req.query.status === "string" ? req.query.status : "";
+    res.send(renderDeliveries({
+      deliveries: findDeliveries({ status: status || undefined }).slice(0, 200).map(summarizeDelivery),
+      status,
+      formToken: getDashboardFormToken(),
+      notice: getDashboardNotice(req),
+    }));
+  });
+
+  // Dashboard: retry a failed delivery
+  app.post("/dashboard/deliveries/:key/retry", requireDashboardPassword, bodyParser.urlencoded({ extended: false }), verifyDashboardForm, (req, res) => {
+    const delivery = retryDelivery(req.params.key);
+    const notice = delivery
+      ? `Delivery ${delivery.topic} for ${delivery.orderName || delivery.orderId || delivery.key} re-queued`
+      : "Delivery not found or not in a retryable state";
+    if (delivery) logger.info("Delivery re-queued from the dashboard", { webhookKey: delivery.key, correlationId: delivery.correlationId });
+    res.redirect(303, `/dashboard/deliveries?notice=${encodeURIComponent(notice)}`);
+  });
+
+  // Dashboard: outbound messages
+  app.get("/dashboard/messages", requireDashboardPassword, (req, res) => {
+    const filters = {
+      order: typeof req.query.order === "string" ? req.query.order : "",
+      status: typeof req.query.status === "string" ? req.query.status : "",
+    };
+    res.send(renderMessages({
+      notifications: searchNotifications({ order: filters.order || undefined, status: filters.status || undefined, limit: 200 }),
+      filters,
+      topics: RESENDABLE_TOPICS,
+      formToken: getDashboardFormToken(),
+      notice: getDashboardNotice(req),
+    }));
+  });
+
+  // Dashboard: resend an order notification
+  app.post("/dashboard/resend", requireDashboardPassword, bodyParser.urlencoded({ extended: false }), verifyDashboardForm, async (req, res) => {
+    const { orderRef, topic, audience } = req.body;
+    const result = await resendOrderNotification(orderRef, topic, audience);
+    const notice = result.error || `Resent ${result.topic} for ${result.order} to ${result.audience}`;
+    res.redirect(303, `/dashboard/messages?order=${encodeURIComponent(orderRef || "")}&notice=${encodeURIComponent(notice)}`);
+  });
+
+  // Test endpoint (open outside production, admin token required in production)
+  app.post("/test", requireDebugAccess, (req, res) => {
+    updateActivity(); // Update activity on test calls
+    logger.info("Test endpoint hit", { bytes: req.rawBody ? req.rawBody.length : 0 });
+    res.json({ received: true, body: req.body });
+  });
+
+  // Test tracking extraction endpoint
+  app.post("/test-tracking", requireDebugAccess, (req, res) => {
+    updateActivity(); // Update activity on test calls
+    logger.info("Test tracking endpoint hit");
+    
+    if (req.body && req.body.order) {
+      const trackingInfo = extractTrackingInfo(req.body.order);
+      res.json({ 
+        success: true, 
+        trackingInfo,
+        orderId: req.body.order.name 
+      });
+    } else {
+      res.json({ 
+        success: false, 
+        error: "No order data provided" 
+      });
+    }
+  });
+
+  return app;
+};
+
+// Function to start the queue worker, scheduled jobs and keep-alive monitoring
+const startBackgroundJobs = () => {
+  // Start keep-alive monitoring (enable if KEEP_ALIVE_URL is set)
+  if (process.env.KEEP_ALIVE_URL) {
+    keepAliveInterval = setInterval(sendKeepAlive, KEEP_ALIVE_INTERVAL);
+    logger.info("Keep-alive monitoring started", { intervalMinutes: KEEP_ALIVE_INTERVAL / 60000 });
+  }
+
+  // Start sending queued messages and resume interrupted webhook processing
+  startQueueWorker();
+  resumePendingDeliveries();
+
+  // Start retention pruning of stored deliveries, orders and notification history
+  startDeliveryPruning();
+  startOrderPruning();
+  startHistoryPruning();
+
+  // Start COD confirmation reminders
+  setInterval(() => {
+    checkCodConfirmations().catch((error) => logger.error("COD confirmation check failed", { error }));
+  }, COD_CHECK_INTERVAL).unref();
+
+  // Start scheduled digests
+  setInterval(() => {
+    sendDueDigests().catch((error) => logger.error("Digest check failed", { error }));
+  }, DIGEST_CHECK_INTERVAL).unref();
+
+  // Start abandoned checkout reminders
+  setInterval(() => {
+    sendDueCheckoutReminders().catch((error) => logger.error("Abandoned checkout reminder check failed", { error }));
+  }, CHECKOUT_REMINDER_INTERVAL).unref();
+};
+
+// Function to log the configuration summary once the server is listening
+const logStartupSummary = (port) => {
+  const checks = getConfigChecks();
+  const missing = (list) => list.filter((check) => !check.ok).map((check) => check.name);
+
+  logger.info("Server running", {
+    port: Number(port),
+    environment: process.env.NODE_ENV || "development",
+    logLevel: LOG_LEVEL,
+    keepAliveEnabled: Boolean(process.env.KEEP_ALIVE_URL),
+    digests: checks.digests,
+    webhookMaxAgeMinutes: WEBHOOK_MAX_AGE_MINUTES,
+    debugRoutes: process.env.NODE_ENV === "production" ? "admin token required" : "open (not production)",
+  });
+  logger.info("Environment variables check", { missing: missing(checks.settings) });
+
+  checks.shops.forEach((shop) => {
+    logger.info("Shop configuration", {
+      shop: shop.name,
+      shopDomain: shop.shopDomain,
+      missing: missing(shop.checks),
+      admins: shop.admins.length,
+    });
+  });
+};
+
+module.exports = {
+  REPLAYABLE_TOPICS,
+  RESENDABLE_TOPICS,
+  findConfigurationError,
+  validateConfiguration,
+  getConfigChecks,
+  createApp,
+  startBackgroundJobs,
+  logStartupSummary,
+  replayOrderWebhook,
+  previewOrderNotification,
+  renderOrderTemplate,
+  sendTemplateToNumber,
+};
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const { createCollection } = require("./collection");
+const { logger } = require("./logger");
+
+const CARRIER_CONFIG_PATH = process.env.CARRIER_CONFIG_PATH
+  || path.join(__dirname, "..", "config", "carriers.json");
+
+const unknownCarriers = createCollection("unknown-carriers");
+
+// Carrier name of shipments whose fulfillment has no tracking_company
+const NO_CARRIER = "Not specified";
+
+let carriers = null;
+
+// Function to normalise a carrier string for matching ("Blue-Dart Express" -> "bluedartexpress")
+const normalizeCarrierName = (name) => String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Function to get the carrier registry (loaded on first use)
+const getCarriers = () => {
+  if (!carriers) {
+    try {
+      carriers = JSON.parse(fs.readFileSync(CARRIER_CONFIG_PATH, "utf8"));
+    } catch (err) {
+      logger.warn("Unable to read carrier registry", { path: CARRIER_CONFIG_PATH, error: err.message });
+      carriers = [];
+    }
+  }
+  return carriers;
+};
+
+// Function to find the registry entry for a Shopify tracking_company string
+// Longest alias wins, so "Delhivery Surface" doesn't match a shorter unrelated alias first
+const findCarrier = (trackingCompany) => {
+  const normalized = normalizeCarrierName(trackingCompany);
+  if (!normalized) return null;
+
+  let best = null;
+  let bestLength = 0;
+  getCarriers().forEach((carrier) => {
+    [carrier.name, ...(carrier.aliases || [])].map(normalizeCarrierName).forEach((alias) => {
+      if (alias && normalized.includes(alias) && alias.length > bestLength) {
+        best = carrier;
+        bestLength = alias.length;
+      }
+    });
+  });
+  return best;
+};
+
+// Function to build a tracking URL for a carrier and tracking number
+const buildTrackingUrl = (carrier, trackingNumber) => {
+  if (!carrier?.trackingUrl || !trackingNumber) return null;
+  return carrier.trackingUrl.replace("{number}", encodeURIComponent(trackingNumber));
+};
+
+// Function to record a tracking_company string that isn't in the registry
+const recordUnknownCarrier = (trackingCompany, { trackingNumber, orderName } = {}) => {
+  const key = normalizeCarrierName(trackingCompany);
+  if (!key) return null;
+
+  const existing = unknownCarriers.get(key);
+  const now = new Date().toISOString();
+  if (!existing) {
+    logger.warn("Unknown carrier", { carrier: trackingCompany, registry: path.basename(CARRIER_CONFIG_PATH) });
+  }
+
+  return unknownCarriers.set(key, {
+    name: existing?.name || trackingCompany,
+    count: (existing?.count || 0) + 1,
+    firstSeenAt: existing?.firstSeenAt || now,
+    lastSeenAt: now,
+    sampleTrackingNumber: trackingNumber || existing?.sampleTrackingNumber || null,
+    lastOrder: orderName || existing?.lastOrder || null,
+  });
+};
+
+// Function to record the carriers of newly shipped packages that aren't in the registry
+// Called when a fulfillment webhook is processed, so each shipment is counted once
+const recordUnknownCarriers = (shipments, orderName = null) => {
+  shipments
+    .filter((shipment) => shipment.carrier !== NO_CARRIER && !findCarrier(shipment.carrier))
+    .forEach((shipment) => {
+      recordUnknownCarrier(shipment.carrier, { trackingNumber: shipment.trackingNumbers[0], orderName });
+    });
+};
+
+// Function to list unknown carriers, most frequent first
+const getUnknownCarriers = () => {
+  return unknownCarriers.values().sort((a, b) => b.count - a.count);
+};
+
+// Function to resolve a Shopify tracking_company into a carrier name and tracking URLs
+// (a lookup only: unknown carriers are recorded by recordUnknownCarriers)
+const resolveCarrier = (trackingCompany, trackingNumbers = []) => {
+  if (!trackingCompany) {
+    return { carrier: NO_CARRIER, trackingUrls: [] };
+  }
+
+  const carrier = findCarrier(trackingCompany);
+  if (!carrier) {
+    return { carrier: trackingCompany, trackingUrls: [] };
+  }
+
+  return {
+    carrier: carrier.name,
+    trackingUrls: trackingNumbers.map((number) => buildTrackingUrl(carrier, number)).filter(Boolean),
+  };
+};
+
+module.exports = {
+  NO_CARRIER,
+  normalizeCarrierName,
+  getCarriers,
+  findCarrier,
+  buildTrackingUrl,
+  resolveCarrier,
+  recordUnknownCarriers,
+  getUnknownCarriers,
+};
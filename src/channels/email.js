@@ -0,0 +1,77 @@
+const nodemailer = require("nodemailer");
+
+// SMTP email channel (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, EMAIL_FROM)
+const getSmtpSettings = () => ({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+});
+
+let transporter = null;
+
+// Function to get the SMTP transport (created on first use)
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = getSmtpSettings();
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      connectionTimeout: 15000,
+      greetingTimeout: 15000,
+      socketTimeout: 15000,
+    });
+  }
+  return transporter;
+};
+
+// Function to classify a failed SMTP send (5xx replies are permanent, 4xx and network errors are not)
+const classifySmtpError = (err) => {
+  const code = err.responseCode;
+  const description = code ? `SMTP ${code}: ${err.response || err.message}` : err.message;
+
+  if (code === 421 || code === 450 || code === 451 || code === 452) {
+    return { kind: "rate_limited", code, description };
+  }
+  if (code >= 500 && code !== 530 && code !== 535) {
+    return { kind: "permanent", code, description };
+  }
+  return { kind: "retryable", code, description };
+};
+
+const emailChannel = {
+  name: "email",
+  broadcast: false,
+
+  // Function to check the SMTP settings are present
+  isConfigured: () => Boolean(getSmtpSettings().host && getSmtpSettings().from),
+
+  // Function to explain why a message can't go out on this channel (null when it can)
+  getUnavailableReason: (message) => {
+    if (!emailChannel.isConfigured()) return "SMTP_HOST and EMAIL_FROM are not set";
+    if (!message.meta.recipientEmail) return "recipient has no email address";
+    if (!message.content.text) return "no plain-text version of this message";
+    return null;
+  },
+
+  // Function to send a message, returning the SMTP message id
+  send: async (message) => {
+    const { meta, content } = message;
+    const info = await getTransporter().sendMail({
+      from: getSmtpSettings().from,
+      to: meta.recipientEmail,
+      subject: content.subject || (meta.orderName ? `Update on order ${meta.orderName}` : "Order update"),
+      text: content.text,
+      headers: meta.correlationId ? { "X-Correlation-Id": meta.correlationId } : {},
+    });
+    return { messageId: info.messageId || null };
+  },
+
+  classifyError: classifySmtpError,
+};
+
+module.exports = emailChannel;
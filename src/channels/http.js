@@ -0,0 +1,18 @@
+// Function to classify a failed HTTP provider call as rate limited, permanent or retryable
+const classifyHttpError = (err) => {
+  const status = err.response?.status;
+  const data = err.response?.data;
+  const details = typeof data === "string" ? data : data && JSON.stringify(data);
+  const description = status ? `HTTP ${status}${details ? `: ${details}` : ""}` : err.message;
+
+  if (status === 429) {
+    return { kind: "rate_limited", code: status, description };
+  }
+  // Client errors won't fix themselves, except auth problems and timeouts
+  if (status >= 400 && status < 500 && ![401, 403, 408].includes(status)) {
+    return { kind: "permanent", code: status, description };
+  }
+  return { kind: "retryable", code: status, description };
+};
+
+module.exports = { classifyHttpError };
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const path = require("path");
+const whatsappChannel = require("./whatsapp");
+const smsChannel = require("./sms");
+const emailChannel = require("./email");
+const slackChannel = require("./slack");
+
+// Per-audience routing: "channels" are tried in order for each recipient until one
+// delivers, "broadcast" channels (team channels like Slack) get one copy per alert
+const CHANNEL_CONFIG_PATH = process.env.CHANNEL_CONFIG_PATH
+  || path.join(__dirname, "..", "..", "config", "channels.json");
+
+const CHANNELS = {
+  whatsapp: whatsappChannel,
+  sms: smsChannel,
+  email: emailChannel,
+  slack: slackChannel,
+};
+
+// Routing used when no channel configuration file exists (WhatsApp only, as before)
+const DEFAULT_ROUTES = {
+  customer: { channels: ["whatsapp"], broadcast: [] },
+  admin: { channels: ["whatsapp"], broadcast: [] },
+};
+
+// Thrown when the channel configuration file is invalid
+class ChannelConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message);
+    this.name = "ChannelConfigError";
+    this.problems = problems;
+  }
+}
+
+// Function to validate the channel configuration, throwing on problems
+const validateChannelConfig = (config, configPath = CHANNEL_CONFIG_PATH) => {
+  const problems = [];
+
+  Object.keys(DEFAULT_ROUTES).forEach((audience) => {
+    const route = config?.[audience];
+    if (route === undefined) return;
+
+    const { channels = [], broadcast = [] } = route;
+    if (!Array.isArray(channels) || !Array.isArray(broadcast)) {
+      problems.push(`${audience}.channels and ${audience}.broadcast must be arrays of channel names`);
+      return;
+    }
+    channels.forEach((name) => {
+      if (!CHANNELS[name]) problems.push(`${audience}.channels: unknown channel "${name}"`);
+      else if (CHANNELS[name].broadcast) problems.push(`${audience}.channels: "${name}" is a broadcast channel, list it under broadcast`);
+    });
+    broadcast.forEach((name) => {
+      if (!CHANNELS[name]) problems.push(`${audience}.broadcast: unknown channel "${name}"`);
+      else if (!CHANNELS[name].broadcast) problems.push(`${audience}.broadcast: "${name}" needs a recipient, list it under channels`);
+    });
+    if (audience === "customer" && broadcast.length > 0) {
+      problems.push("customer.broadcast is not supported (customer messages go to one customer)");
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ChannelConfigError(`Invalid channel configuration in ${configPath}`, problems);
+  }
+  return config;
+};
+
+let routes = null;
+
+// Function to load per-audience routes (defaults when the file is missing)
+const loadChannelRoutes = (configPath = CHANNEL_CONFIG_PATH) => {
+  if (!fs.existsSync(configPath)) {
+    return DEFAULT_ROUTES;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new ChannelConfigError(`Unable to read channel configuration ${configPath}: ${err.message}`);
+  }
+  validateChannelConfig(config, configPath);
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_ROUTES).map(([audience, defaults]) => [
+      audience,
+      {
+        channels: config[audience]?.channels || defaults.channels,
+        broadcast: config[audience]?.broadcast || defaults.broadcast,
+      },
+    ])
+  );
+};
+
+// Function to get the routing for an audience (loaded on first use)
+const getChannelRoute = (audience) => {
+  if (!routes) {
+    routes = loadChannelRoutes();
+  }
+  return routes[audience] || DEFAULT_ROUTES.customer;
+};
+
+// Function to describe an audience's routing ("whatsapp → sms (broadcast: slack)")
+const describeChannelRoute = (audience) => {
+  const route = getChannelRoute(audience);
+  return `${route.channels.join(" → ")}${route.broadcast.length > 0 ? ` (broadcast: ${route.broadcast.join(", ")})` : ""}`;
+};
+
+// Function to get a channel adapter by name
+const getChannel = (name) => CHANNELS[name] || null;
+
+module.exports = {
+  CHANNEL_CONFIG_PATH,
+  ChannelConfigError,
+  validateChannelConfig,
+  loadChannelRoutes,
+  getChannelRoute,
+  describeChannelRoute,
+  getChannel,
+};
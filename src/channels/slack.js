@@ -0,0 +1,32 @@
+const axios = require("axios");
+const { classifyHttpError } = require("./http");
+
+// Slack incoming webhook: posts to one team channel, so it isn't addressed to a recipient
+const slackChannel = {
+  name: "slack",
+  broadcast: true,
+
+  // Function to check the webhook URL is present
+  isConfigured: () => Boolean(process.env.SLACK_WEBHOOK_URL),
+
+  // Function to explain why a message can't go out on this channel (null when it can)
+  getUnavailableReason: (message) => {
+    if (!slackChannel.isConfigured()) return "SLACK_WEBHOOK_URL is not set";
+    if (!message.content.text) return "no plain-text version of this message";
+    return null;
+  },
+
+  // Function to post a message (Slack webhooks don't return a message id)
+  send: async (message) => {
+    await axios.post(
+      process.env.SLACK_WEBHOOK_URL,
+      { text: message.content.text },
+      { headers: { "Content-Type": "application/json" }, timeout: 15000 }
+    );
+    return { messageId: null };
+  },
+
+  classifyError: classifyHttpError,
+};
+
+module.exports = slackChannel;
@@ -0,0 +1,48 @@
+const axios = require("axios");
+const { classifyHttpError } = require("./http");
+
+// Generic SMS HTTP provider: POSTs { to, from, text } as JSON to SMS_API_URL
+const getSmsSettings = () => ({
+  url: process.env.SMS_API_URL,
+  token: process.env.SMS_API_TOKEN,
+  senderId: process.env.SMS_SENDER_ID,
+});
+
+const smsChannel = {
+  name: "sms",
+  broadcast: false,
+
+  // Function to check the provider settings are present
+  isConfigured: () => Boolean(getSmsSettings().url),
+
+  // Function to explain why a message can't go out on this channel (null when it can)
+  getUnavailableReason: (message) => {
+    if (!smsChannel.isConfigured()) return "SMS_API_URL is not set";
+    if (!message.meta.recipient) return "recipient has no phone number";
+    if (!message.content.text) return "no plain-text version of this message";
+    return null;
+  },
+
+  // Function to send a message, returning the provider's message id
+  send: async (message) => {
+    const { url, token, senderId } = getSmsSettings();
+    const response = await axios.post(
+      url,
+      { to: `+${message.meta.recipient}`, from: senderId || undefined, text: message.content.text },
+      {
+        headers: {
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(message.meta.correlationId ? { "X-Correlation-Id": message.meta.correlationId } : {}),
+          "Content-Type": "application/json",
+        },
+        timeout: 15000,
+      }
+    );
+    const data = response.data || {};
+    return { messageId: data.id ?? data.messageId ?? data.message_id ?? null };
+  },
+
+  classifyError: classifyHttpError,
+};
+
+module.exports = smsChannel;
@@ -0,0 +1,31 @@
+const { postWhatsappMessage, classifyGraphError } = require("../whatsapp");
+
+// WhatsApp Cloud API channel: template and text messages from the tenant's number
+const whatsappChannel = {
+  name: "whatsapp",
+  broadcast: false,
+
+  // Function to check the tenant has a WhatsApp number and token
+  isConfigured: (tenant) => Boolean(tenant?.whatsappPhoneNumberId && tenant?.whatsappToken),
+
+  // Function to explain why a message can't go out on this channel (null when it can)
+  getUnavailableReason: (message, tenant) => {
+    if (!whatsappChannel.isConfigured(tenant)) {
+      return `WhatsApp is not configured for ${tenant.name}`;
+    }
+    if (!message.content.whatsapp) {
+      return "recipient has no WhatsApp number";
+    }
+    return null;
+  },
+
+  // Function to send a message, returning the provider's message id
+  send: async (message, tenant) => {
+    const data = await postWhatsappMessage(message.content.whatsapp, tenant);
+    return { messageId: data?.messages?.[0]?.id || null };
+  },
+
+  classifyError: classifyGraphError,
+};
+
+module.exports = whatsappChannel;
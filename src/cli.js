@@ -0,0 +1,353 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const axios = require("axios");
+const {
+  REPLAYABLE_TOPICS,
+  RESENDABLE_TOPICS,
+  findConfigurationError,
+  getConfigChecks,
+  replayOrderWebhook,
+  previewOrderNotification,
+  renderOrderTemplate,
+  sendTemplateToNumber,
+} = require("./app");
+const { drainQueue } = require("./message-queue");
+const { searchNotifications, getNotification } = require("./notification-history");
+const { findOrderRecord } = require("./order-store");
+const { DEFAULT_PHONE_REGION, normalizePhone } = require("./phone");
+const { listTenants, getTenantById } = require("./tenants");
+const { DATA_DIR, STORE_BACKEND, getDataDirLockHolder, acquireDataDirLock } = require("./collection");
+
+// order-notifier: replay orders, send test templates and check the configuration from a shell
+// While the server runs it owns DATA_DIR, so replays and test sends go through its admin API
+// (ADMIN_API_TOKEN); otherwise they are sent from this process, which holds DATA_DIR until it exits
+
+// Admin API of the running server
+const SERVER_URL = process.env.ORDER_NOTIFIER_SERVER_URL || `http://127.0.0.1:${process.env.PORT || 3000}`;
+const SERVER_TIMEOUT = 30 * 1000; // 30 seconds in milliseconds
+
+const USAGE = `Usage: order-notifier <command> [options]
+
+Commands:
+  replay <topic>          Run an order through the ${REPLAYABLE_TOPICS.join(" or ")} pipeline
+  send-template <topic>   Send one template for an order to a WhatsApp number
+  check-config            Check the environment, shops, admins and channels, exiting 1 on problems
+
+Options:
+  --order <ref>           Use an order from the local order store (#1001 or order id)
+  --file <path>           Use an order payload saved as JSON
+  --shop <domain>         Shop the --file payload belongs to (needed when several shops are set up)
+  --to <number>           Number to send to (send-template)
+  --audience <audience>   customer or admin template (send-template, default customer)
+  --dry-run               Print the rendered template parameters instead of sending
+  -h, --help              Show this help
+
+While the server is running, replay and send-template are sent through its admin API
+(ADMIN_API_TOKEN, at ORDER_NOTIFIER_SERVER_URL or http://127.0.0.1:$PORT)
+
+Examples:
+  order-notifier replay orders/create --order "#1042" --dry-run
+  order-notifier replay orders/fulfilled --file fulfilled.json --shop nanic.myshopify.com
+  order-notifier send-template orders/fulfilled --order 1042 --to "+91 98450 12345"
+  order-notifier check-config`;
+
+const OPTIONS = {
+  order: { type: "string" },
+  file: { type: "string" },
+  shop: { type: "string" },
+  to: { type: "string" },
+  audience: { type: "string", default: "customer" },
+  "dry-run": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_PROBLEMS = 1;
+const EXIT_USAGE = 2;
+
+// Thrown for bad arguments (the usage hint is printed with the message)
+class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliUsageError";
+  }
+}
+
+// Function to load the order a command works on, from the order store or a JSON file
+// Returns { order, tenantId } (tenantId is only known for stored orders)
+const loadOrder = ({ order: orderRef, file }) => {
+  if (Boolean(orderRef) === Boolean(file)) {
+    throw new CliUsageError("Give either --order or --file");
+  }
+
+  if (orderRef) {
+    const record = findOrderRecord(orderRef);
+    if (!record) {
+      const store = STORE_BACKEND === "memory" ? "the in-memory store (STORE_BACKEND=memory)" : DATA_DIR;
+      throw new CliUsageError(`Order ${orderRef} is not in the local order store (${store})`);
+    }
+    return { order: record.snapshot, tenantId: record.tenantId };
+  }
+
+  let order;
+  try {
+    order = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new CliUsageError(`Unable to read order payload ${file}: ${err.message}`);
+  }
+  return { order, tenantId: null };
+};
+
+// Function to pick the shop a command runs for (--shop, the stored order's shop, or the only shop)
+const resolveShop = (shop, tenantId) => {
+  const tenants = listTenants();
+  if (shop) {
+    const tenant = getTenantById(shop);
+    if (!tenant) {
+      throw new CliUsageError(`Unknown shop ${shop} (configured: ${tenants.map((entry) => entry.shopDomain || entry.id).join(", ")})`);
+    }
+    return tenant;
+  }
+  if (tenantId) return getTenantById(tenantId);
+  if (tenants.length === 1) return tenants[0];
+  throw new CliUsageError("Several shops are configured, pick one with --shop");
+};
+
+// Function to describe a rendered template, one line per parameter
+const describeTemplate = (template) => {
+  if (!template) return ["    (no template configured)"];
+  if (template.error) {
+    return [`    can't be sent as a template: ${template.error}`, ...(template.text ? [`    text version: ${template.text}`] : [])];
+  }
+
+  const lines = [`    ${template.name} (${template.language})`];
+  template.components.forEach((component) => {
+    if (component.type === "button") {
+      component.parameters.forEach((parameter) => {
+        lines.push(`      button ${component.index} ${component.sub_type}: ${parameter.payload ?? parameter.text}`);
+      });
+      return;
+    }
+    component.parameters.forEach((parameter, index) => {
+      lines.push(`      ${component.type} {{${index + 1}}}: ${parameter.text}`);
+    });
+  });
+  return lines;
+};
+
+// Function to describe a notification history entry after sending
+const describeNotification = (entry) => {
+  const recipient = [entry.recipientName, entry.recipient, entry.recipientEmail].filter(Boolean).join(" ");
+  return `  ${entry.status.padEnd(8)} ${entry.audience || "-"} → ${recipient || "-"} (${entry.templateName || entry.type}, ${entry.channel})`
+    + `${entry.error ? `: ${entry.error}` : ""}`;
+};
+
+// Function to post a command to the running server's admin API
+// Returns null when no server owns DATA_DIR, so the command runs in this process instead
+const sendToServer = async (route, body) => {
+  const pid = getDataDirLockHolder();
+  if (!pid) return null;
+
+  if (!process.env.ADMIN_API_TOKEN) {
+    throw new Error(`The server (process ${pid}) is using ${DATA_DIR}: set ADMIN_API_TOKEN so order-notifier can send through it`);
+  }
+  try {
+    const response = await axios.post(`${SERVER_URL}${route}`, body, {
+      headers: { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` },
+      timeout: SERVER_TIMEOUT,
+    });
+    return { pid, ...response.data };
+  } catch (err) {
+    const reason = err.response ? `HTTP ${err.response.status}: ${err.response.data?.error || err.response.statusText}` : err.message;
+    throw new Error(`The server (process ${pid}) at ${SERVER_URL} didn't accept the request (${reason})`);
+  }
+};
+
+// Function to print the notifications a command queued and pick the exit code
+// Messages still queued after a local run (retries, admin quiet hours) make it exit 1:
+// they wait in DATA_DIR until the server next starts
+const reportNotifications = (notifications, print, { sentByServer = false } = {}) => {
+  if (notifications.length === 0) {
+    print(`  No notifications were queued (see the warnings in ${sentByServer ? "the server log" : "the output above"})`);
+  }
+  notifications.forEach((entry) => print(describeNotification(entry)));
+
+  const pending = notifications.filter((entry) => ["queued", "retrying"].includes(entry.status)).length;
+  if (pending > 0 && sentByServer) {
+    print("  The server sends queued messages (follow them with GET /admin/notifications)");
+  }
+  if (pending > 0 && !sentByServer) {
+    const where = STORE_BACKEND === "memory"
+      ? "and lost when order-notifier exits (STORE_BACKEND=memory)"
+      : `in ${DATA_DIR}, sent when the server next starts`;
+    print(`\n${pending} message${pending === 1 ? " is" : "s are"} still queued ${where}`);
+    return EXIT_PROBLEMS;
+  }
+  return notifications.some((entry) => entry.status === "failed") ? EXIT_PROBLEMS : EXIT_OK;
+};
+
+// Command: replay an order through a webhook processor (or preview what it would send)
+const replay = async (topic, options, print) => {
+  if (!REPLAYABLE_TOPICS.includes(topic)) {
+    throw new CliUsageError(`Topic must be one of ${REPLAYABLE_TOPICS.join(", ")}`);
+  }
+  const { order, tenantId } = loadOrder(options);
+  const tenant = resolveShop(options.shop, tenantId);
+
+  if (options["dry-run"]) {
+    const preview = previewOrderNotification(order, topic, tenant);
+    print(`Dry run: ${topic} for order ${order.name || order.id} (${tenant.name}), nothing is sent`);
+    print(`Customer (${preview.customer.topic}) → ${preview.customer.phone || "no WhatsApp number"}`
+      + `${preview.customer.email ? `, ${preview.customer.email}` : ""}`);
+    describeTemplate(preview.customer.template).forEach((line) => print(line));
+    if (preview.admins.length === 0) {
+      print("Admins: no admin is routed this alert");
+    }
+    preview.admins.forEach((admin) => {
+      print(`Admin ${admin.name} → ${[admin.phone, admin.email].filter(Boolean).join(", ")}`);
+      describeTemplate(admin.template).forEach((line) => print(line));
+    });
+    return EXIT_OK;
+  }
+
+  const viaServer = await sendToServer("/admin/replay", { topic, shop: tenant.id, order });
+  if (viaServer) {
+    print(`Replayed ${topic} for order ${order.name || order.id} (${tenant.name}) on the server (process ${viaServer.pid}), `
+      + `correlation id ${viaServer.correlationId}`);
+    return reportNotifications(viaServer.notifications, print, { sentByServer: true });
+  }
+
+  acquireDataDirLock();
+  const delivery = await replayOrderWebhook(order, topic, tenant);
+  await drainQueue();
+
+  const notifications = searchNotifications({ correlationId: delivery.correlationId, limit: 1000 }).reverse();
+  print(`Replayed ${topic} for order ${order.name || order.id} (${tenant.name}), correlation id ${delivery.correlationId}`);
+  return reportNotifications(notifications, print);
+};
+
+// Command: send one template for an order to a given number (or print it)
+const sendTemplate = async (topic, options, print) => {
+  if (!RESENDABLE_TOPICS.includes(topic.split(":")[0])) {
+    throw new CliUsageError(`Topic must be one of ${RESENDABLE_TOPICS.join(", ")} (or a variant like orders/create:cod)`);
+  }
+  if (!["customer", "admin"].includes(options.audience)) {
+    throw new CliUsageError("Audience must be customer or admin");
+  }
+  if (!options.to) {
+    throw new CliUsageError("Give the number to send to with --to");
+  }
+  const { phone, reason } = normalizePhone(options.to, DEFAULT_PHONE_REGION);
+  if (!phone) {
+    throw new CliUsageError(`Invalid WhatsApp number ${options.to}: ${reason}`);
+  }
+
+  const { order, tenantId } = loadOrder(options);
+  const tenant = resolveShop(options.shop, tenantId);
+  const request = { order, topic, audience: options.audience, tenant };
+
+  if (options["dry-run"]) {
+    print(`Dry run: ${options.audience} ${topic} template for order ${order.name || order.id} → ${phone}, nothing is sent`);
+    describeTemplate(renderOrderTemplate(request).template).forEach((line) => print(line));
+    return EXIT_OK;
+  }
+
+  const viaServer = await sendToServer("/admin/send-template", { topic, audience: options.audience, shop: tenant.id, phone, order });
+  if (viaServer) {
+    const { pid, ...entry } = viaServer;
+    print(`Sent ${options.audience} ${topic} template for order ${order.name || order.id} (${tenant.name}) through the server (process ${pid})`);
+    return reportNotifications([entry], print, { sentByServer: true });
+  }
+
+  acquireDataDirLock();
+  const message = sendTemplateToNumber({ ...request, phone });
+  await drainQueue();
+
+  print(`Sent ${options.audience} ${topic} template for order ${order.name || order.id} (${tenant.name})`);
+  return reportNotifications([getNotification(message.id)], print);
+};
+
+// Command: check the configuration the way the startup summary does
+const checkConfig = (print) => {
+  // Template, admin and channel files are checked first: the other checks need them to load
+  const configError = findConfigurationError();
+  if (configError) {
+    print(`❌ ${configError.message}`);
+    return EXIT_PROBLEMS;
+  }
+
+  const problems = [];
+  const line = (check, note = "") => `  ${check.ok ? "✅" : "❌"} ${check.name}${check.value ? ` ${check.value}` : ""}${note}`;
+  const checks = getConfigChecks();
+  // Settings are optional (the shop checks cover what every shop needs)
+  print("Settings");
+  checks.settings.forEach((check) => print(check.ok ? line(check) : `  ➖ ${check.name} (not set)`));
+
+  checks.shops.forEach((shop) => {
+    print(`Shop ${shop.name}${shop.shopDomain ? ` (${shop.shopDomain})` : ""}`);
+    shop.checks.forEach((check) => {
+      print(line(check, check.required && !check.ok ? " (required)" : ""));
+      if (check.required && !check.ok) problems.push(`${shop.name}: ${check.name} missing`);
+    });
+    if (shop.admins.length === 0) {
+      print("  ❌ No admins configured");
+      problems.push(`${shop.name}: no admins configured, nobody receives alerts`);
+    }
+    shop.admins.forEach((admin) => {
+      const contact = [admin.phone, admin.email].filter(Boolean).join(", ") || "no contact";
+      print(`  👤 ${admin.name} (${contact}) roles: ${admin.roles.join(", ")}`);
+    });
+  });
+
+  print(`Customer channels: ${checks.channels.customer}`);
+  print(`Admin channels: ${checks.channels.admin}`);
+  print(`Digests: ${checks.digests}`);
+
+  if (problems.length > 0) {
+    print(`\n${problems.length} problem${problems.length === 1 ? "" : "s"} found:`);
+    problems.forEach((problem) => print(`- ${problem}`));
+    return EXIT_PROBLEMS;
+  }
+  print("\nConfiguration OK");
+  return EXIT_OK;
+};
+
+// Function to run the CLI with the given arguments, resolving with the exit code
+const runCli = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+  const print = (text) => stdout.write(`${text}\n`);
+  const printError = (text) => stderr.write(`${text}\n`);
+
+  try {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, topic, ...rest] = positionals;
+
+    if (options.help || !command) {
+      print(USAGE);
+      return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (rest.length > 0) {
+      throw new CliUsageError(`Unexpected argument ${rest[0]}`);
+    }
+    if (command === "check-config") {
+      return checkConfig(print);
+    }
+    if (!["replay", "send-template"].includes(command)) {
+      throw new CliUsageError(`Unknown command ${command}`);
+    }
+    if (!topic) {
+      throw new CliUsageError(`Give the topic to ${command}, e.g. orders/create`);
+    }
+    return command === "replay" ? await replay(topic, options, print) : await sendTemplate(topic, options, print);
+  } catch (err) {
+    // parseArgs rejects unknown options with a TypeError carrying an ERR_PARSE_ARGS_* code
+    if (err instanceof CliUsageError || String(err.code).startsWith("ERR_PARSE_ARGS")) {
+      printError(`Error: ${err.message}\nRun order-notifier --help for usage`);
+      return EXIT_USAGE;
+    }
+    printError(`Error: ${err.message}`);
+    return EXIT_PROBLEMS;
+  }
+};
+
+module.exports = { CliUsageError, runCli };
@@ -0,0 +1,91 @@
+const { createCollection } = require("./collection");
+
+// Confirmation configuration
+const COD_CONFIRMATION_TIMEOUT_HOURS = Number(process.env.COD_CONFIRMATION_TIMEOUT_HOURS) || 12;
+const COD_RETENTION_DAYS = 30;
+
+// Quick-reply payload prefixes on the COD confirmation buttons
+const COD_CONFIRM_PREFIX = "COD_CONFIRM:";
+const COD_CANCEL_PREFIX = "COD_CANCEL:";
+
+const confirmations = createCollection("cod-confirmations");
+
+// Function to build the quick-reply payloads for an order's Confirm/Cancel buttons
+const buildCodPayloads = (order) => ({
+  codConfirmPayload: `${COD_CONFIRM_PREFIX}${order.id}`,
+  codCancelPayload: `${COD_CANCEL_PREFIX}${order.id}`,
+});
+
+// Function to parse a COD button payload into { action, orderId } (null if it isn't one)
+const parseCodPayload = (payload) => {
+  if (!payload) return null;
+  if (payload.startsWith(COD_CONFIRM_PREFIX)) {
+    return { action: "confirm", orderId: payload.slice(COD_CONFIRM_PREFIX.length) };
+  }
+  if (payload.startsWith(COD_CANCEL_PREFIX)) {
+    return { action: "cancel", orderId: payload.slice(COD_CANCEL_PREFIX.length) };
+  }
+  return null;
+};
+
+// Function to start waiting for a customer's COD confirmation
+const createCodConfirmation = (order, phone, tenantId = null) => {
+  const existing = confirmations.get(String(order.id));
+  if (existing) return existing;
+
+  return confirmations.set(String(order.id), {
+    orderId: order.id,
+    orderName: order.name,
+    tenantId,
+    phone,
+    status: "awaiting",
+    requestedAt: new Date().toISOString(),
+    remindedAt: null,
+    resolvedAt: null,
+  });
+};
+
+// Function to get the confirmation record for an order
+const getCodConfirmation = (orderId) => confirmations.get(String(orderId));
+
+// Function to update a confirmation's status ("confirmed", "cancelled", "reminded", ...)
+const updateCodConfirmation = (orderId, changes) => {
+  const current = confirmations.get(String(orderId));
+  if (!current) return null;
+  return confirmations.set(String(orderId), { ...current, ...changes });
+};
+
+// Function to list confirmations still awaiting a reply past the timeout (reminded ones are skipped)
+const findOverdueCodConfirmations = () => {
+  const cutoff = Date.now() - COD_CONFIRMATION_TIMEOUT_HOURS * 60 * 60 * 1000;
+  return confirmations.values()
+    .filter((confirmation) => confirmation.status === "awaiting")
+    .filter((confirmation) => new Date(confirmation.requestedAt).getTime() < cutoff);
+};
+
+// Function to list confirmations by status, newest first
+const listCodConfirmations = (status) => {
+  return confirmations.values()
+    .filter((confirmation) => !status || confirmation.status === status)
+    .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+};
+
+// Function to drop old confirmation records
+const pruneCodConfirmations = () => {
+  const cutoff = Date.now() - COD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  confirmations.values()
+    .filter((confirmation) => new Date(confirmation.requestedAt).getTime() < cutoff)
+    .forEach((confirmation) => confirmations.delete(String(confirmation.orderId)));
+};
+
+module.exports = {
+  COD_CONFIRMATION_TIMEOUT_HOURS,
+  buildCodPayloads,
+  parseCodPayload,
+  createCodConfirmation,
+  getCodConfirmation,
+  updateCodConfirmation,
+  findOverdueCodConfirmations,
+  listCodConfirmations,
+  pruneCodConfirmations,
+};
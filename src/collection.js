@@ -0,0 +1,193 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+// Storage configuration
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const STORE_BACKEND = process.env.STORE_BACKEND || "file";
+
+// A file collection's change log is folded into its snapshot once it holds this many changes
+// (or more changes than the snapshot has records, so a write costs O(1) on average)
+const COMPACT_MIN_CHANGES = 1000;
+
+// Only one process may write to DATA_DIR (collections don't see each other's changes)
+const LOCK_PATH = path.join(DATA_DIR, "store.lock");
+let lockHeld = false;
+
+// Thrown when another running process (usually the server) owns DATA_DIR
+class DataDirLockedError extends Error {
+  constructor(pid) {
+    super(`${DATA_DIR} is in use by process ${pid} (remove ${LOCK_PATH} if no server or order-notifier run is using it)`);
+    this.name = "DataDirLockedError";
+    this.pid = pid;
+  }
+}
+
+// Function to read a JSON file, returning the fallback when it doesn't exist yet
+const readJsonFile = (filePath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      logger.error("Failed to read data file", { filePath, error: err.message });
+    }
+    return fallback;
+  }
+};
+
+// Function to write a JSON file atomically (write to temp file, then rename)
+const writeJsonFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+// Function to get the id of another running process that owns DATA_DIR (null when it's free or ours)
+const getDataDirLockHolder = () => {
+  if (STORE_BACKEND === "memory") return null;
+
+  const pid = Number(readJsonFile(LOCK_PATH, null)?.pid);
+  if (!pid || pid === process.pid) return null;
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user
+    return err.code === "EPERM" ? pid : null;
+  }
+};
+
+// Function to make this process the only writer of DATA_DIR, released when it exits
+// Throws DataDirLockedError when another running process holds the lock (stale locks are taken over)
+const acquireDataDirLock = () => {
+  if (lockHeld || STORE_BACKEND === "memory") return;
+
+  const holder = getDataDirLockHolder();
+  if (holder) throw new DataDirLockedError(holder);
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.rmSync(LOCK_PATH, { force: true });
+  try {
+    fs.writeFileSync(LOCK_PATH, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: "wx" });
+  } catch (err) {
+    // Another process took over the stale lock first
+    if (err.code === "EEXIST") throw new DataDirLockedError(getDataDirLockHolder() || "unknown");
+    throw err;
+  }
+
+  lockHeld = true;
+  process.once("exit", () => fs.rmSync(LOCK_PATH, { force: true }));
+  logger.debug("Data directory locked", { dataDir: DATA_DIR, pid: process.pid });
+};
+
+// In-memory keyed collection (lost on restart, used for development and tests)
+const createMemoryCollection = () => {
+  const records = new Map();
+
+  return {
+    get: (key) => records.get(key) || null,
+    set: (key, value) => {
+      records.set(key, value);
+      return value;
+    },
+    delete: (key) => records.delete(key),
+    values: () => Array.from(records.values()),
+    size: () => records.size,
+  };
+};
+
+// Function to apply a change log (one JSON change per line) to the records read from a snapshot
+// Returns the number of changes applied; a line cut short by a crash is skipped
+const replayChangeLog = (logPath, records) => {
+  let lines;
+  try {
+    lines = fs.readFileSync(logPath, "utf8").split("\n").filter(Boolean);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      logger.error("Failed to read data file", { filePath: logPath, error: err.message });
+    }
+    return 0;
+  }
+
+  lines.forEach((line, index) => {
+    let change;
+    try {
+      change = JSON.parse(line);
+    } catch (err) {
+      logger.warn("Skipping unreadable change log entry", { filePath: logPath, line: index + 1 });
+      return;
+    }
+    if (change.deleted) {
+      records.delete(change.key);
+    } else {
+      records.set(change.key, change.value);
+    }
+  });
+  return lines.length;
+};
+
+// File-backed keyed collection: a JSON snapshot in DATA_DIR plus an append-only log of the
+// changes made since, so a set or delete appends one line instead of rewriting the file
+// Writing takes the DATA_DIR lock (see acquireDataDirLock)
+const createFileCollection = (fileName) => {
+  const filePath = path.join(DATA_DIR, fileName);
+  const logPath = `${filePath}.log`;
+  const records = new Map(Object.entries(readJsonFile(filePath, {})));
+  let loggedChanges = replayChangeLog(logPath, records);
+
+  // Function to fold the change log into a new snapshot
+  // (a crash before the log is removed only replays changes the snapshot already has)
+  const compact = () => {
+    writeJsonFile(filePath, Object.fromEntries(records));
+    fs.rmSync(logPath, { force: true });
+    loggedChanges = 0;
+  };
+
+  // Function to append a change to the log, compacting once the log outgrows the snapshot
+  const logChange = (change) => {
+    acquireDataDirLock();
+    fs.appendFileSync(logPath, `${JSON.stringify(change)}\n`);
+    loggedChanges++;
+    if (loggedChanges >= Math.max(COMPACT_MIN_CHANGES, records.size)) {
+      compact();
+    }
+  };
+
+  return {
+    get: (key) => records.get(key) || null,
+    set: (key, value) => {
+      records.set(key, value);
+      logChange({ key, value });
+      return value;
+    },
+    delete: (key) => {
+      const existed = records.delete(key);
+      if (existed) logChange({ key, deleted: true });
+      return existed;
+    },
+    values: () => Array.from(records.values()),
+    size: () => records.size,
+  };
+};
+
+// Function to create a collection using the configured STORE_BACKEND
+const createCollection = (name) => {
+  if (STORE_BACKEND === "memory") {
+    return createMemoryCollection();
+  }
+  return createFileCollection(`${name}.json`);
+};
+
+module.exports = {
+  DATA_DIR,
+  STORE_BACKEND,
+  DataDirLockedError,
+  readJsonFile,
+  writeJsonFile,
+  getDataDirLockHolder,
+  acquireDataDirLock,
+  createMemoryCollection,
+  createFileCollection,
+  createCollection,
+};
@@ -0,0 +1,114 @@
+const { createCollection } = require("./collection");
+const { DEFAULT_TENANT_ID } = require("./tenants");
+
+// Message categories: transactional messages are about an order the customer placed,
+// promotional ones (e.g. abandoned checkout reminders) need marketing consent
+const MESSAGE_CATEGORIES = ["transactional", "promotional"];
+
+// Inbound keywords (the whole message, case-insensitive) and what they change
+const CONSENT_KEYWORDS = {
+  STOP: { action: "opt_out", categories: MESSAGE_CATEGORIES },
+  UNSUBSCRIBE: { action: "opt_out", categories: MESSAGE_CATEGORIES },
+  "STOP PROMO": { action: "opt_out", categories: ["promotional"] },
+  "STOP OFFERS": { action: "opt_out", categories: ["promotional"] },
+  START: { action: "opt_in" },
+  SUBSCRIBE: { action: "opt_in" },
+};
+
+// Consent is kept per shop: a STOP sent to one shop's number doesn't silence the others
+// Records from before that are keyed by phone alone and still apply to every shop
+const consents = createCollection("consents");
+
+// Function to build the key of a shop's consent record for a phone
+const getConsentKey = (tenantId, phone) => `${tenantId || DEFAULT_TENANT_ID}:${phone}`;
+
+// Function to check a message for a STOP/START keyword (null if it isn't one)
+const parseConsentKeyword = (text) => {
+  const keyword = String(text || "").trim().toUpperCase().replace(/[.!]+$/, "");
+  return CONSENT_KEYWORDS[keyword] || null;
+};
+
+// Function to get a phone's consent record with a shop (null when the customer never told us anything)
+const getConsent = (tenantId, phone) => consents.get(getConsentKey(tenantId, phone)) || consents.get(String(phone));
+
+// Function to suppress categories of a shop's messages for a phone
+const optOut = (tenantId, phone, categories = MESSAGE_CATEGORIES, { source = "whatsapp", reason = null } = {}) => {
+  const existing = getConsent(tenantId, phone);
+  return consents.set(getConsentKey(tenantId, phone), {
+    tenantId: tenantId || DEFAULT_TENANT_ID,
+    phone: String(phone),
+    suppressed: [...new Set([...(existing?.suppressed || []), ...categories])],
+    // Opting out of promotions also withdraws an explicit opt-in
+    promotionalOptIn: categories.includes("promotional") ? false : existing?.promotionalOptIn ?? null,
+    source,
+    reason,
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+// Function to lift all of a shop's suppressions for a phone and record an explicit opt-in
+const optIn = (tenantId, phone, { source = "whatsapp", reason = null } = {}) => {
+  return consents.set(getConsentKey(tenantId, phone), {
+    tenantId: tenantId || DEFAULT_TENANT_ID,
+    phone: String(phone),
+    suppressed: [],
+    promotionalOptIn: true,
+    source,
+    reason,
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+// Function to remove a phone's consent record with a shop entirely (back to Shopify's consent fields)
+// A record from before consent was kept per shop is removed too
+const clearConsent = (tenantId, phone) => {
+  const cleared = consents.delete(getConsentKey(tenantId, phone));
+  return consents.delete(String(phone)) || cleared;
+};
+
+// Function to read marketing consent from the Shopify customer fields
+const hasShopifyMarketingConsent = (customer) => {
+  if (!customer) return false;
+  return customer.sms_marketing_consent?.state === "subscribed"
+    || customer.accepts_marketing === true
+    || customer.email_marketing_consent?.state === "subscribed";
+};
+
+// Function to decide whether a customer may receive a message of a category from a shop
+// Returns { allowed, reason }
+const canMessageCustomer = (tenantId, phone, category = "transactional", customer = null) => {
+  const consent = getConsent(tenantId, phone);
+
+  if (consent?.suppressed.includes(category)) {
+    return { allowed: false, reason: `opted out of ${category} messages` };
+  }
+  if (category !== "promotional") {
+    return { allowed: true };
+  }
+
+  // An explicit WhatsApp START/STOP overrides what Shopify has on file
+  if (consent?.promotionalOptIn === true) return { allowed: true };
+  if (consent?.promotionalOptIn === false) return { allowed: false, reason: "opted out of promotional messages" };
+  return hasShopifyMarketingConsent(customer)
+    ? { allowed: true }
+    : { allowed: false, reason: "no marketing consent in Shopify" };
+};
+
+// Function to list consent records that suppress something (for one shop when tenantId is given), newest first
+const listSuppressions = (tenantId = null) => {
+  return consents.values()
+    .filter((consent) => consent.suppressed.length > 0)
+    .filter((consent) => !tenantId || !consent.tenantId || consent.tenantId === tenantId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+module.exports = {
+  MESSAGE_CATEGORIES,
+  parseConsentKeyword,
+  getConsent,
+  optOut,
+  optIn,
+  clearConsent,
+  canMessageCustomer,
+  listSuppressions,
+};
@@ -0,0 +1,231 @@
+const { maskPhone, maskEmail } = require("./masking");
+
+// Server-rendered admin dashboard pages (no client-side scripts, forms post back to the app)
+
+const STATUS_COLOURS = {
+  processed: "#1a7f37",
+  sent: "#1a7f37",
+  delivered: "#1a7f37",
+  read: "#1a7f37",
+  queued: "#9a6700",
+  received: "#9a6700",
+  processing: "#9a6700",
+  retrying: "#9a6700",
+  failed: "#cf222e",
+  rejected: "#cf222e",
+  dead: "#cf222e",
+};
+
+// Function to escape text for HTML
+const escapeHtml = (value) => {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+// Function to format an ISO timestamp for tables
+const formatTime = (value) => (value ? escapeHtml(String(value).replace("T", " ").slice(0, 19)) : "-");
+
+// Function to render a coloured status label
+const renderStatus = (status) => {
+  const colour = STATUS_COLOURS[status] || "#57606a";
+  return `<span class="status" style="color:${colour}">${escapeHtml(status || "-")}</span>`;
+};
+
+// Function to render a table (columns are [heading, row => html])
+const renderTable = (columns, rows, emptyText) => {
+  if (rows.length === 0) {
+    return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  }
+  const head = columns.map(([heading]) => `<th>${escapeHtml(heading)}</th>`).join("");
+  const body = rows
+    .map((row) => `<tr>${columns.map(([, cell]) => `<td>${cell(row)}</td>`).join("")}</tr>`)
+    .join("");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+};
+
+// Function to render the page shell with navigation
+const renderLayout = ({ title, active, notice, body }) => {
+  const links = [
+    ["/dashboard", "Overview"],
+    ["/dashboard/deliveries", "Webhook deliveries"],
+    ["/dashboard/messages", "Messages"],
+  ]
+    .map(([href, label]) => `<a href="${href}"${href === active ? ' class="active"' : ""}>${label}</a>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} - Order notifications</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+header { background: #24292f; padding: 12px 24px; }
+header a { color: #d0d7de; margin-right: 20px; text-decoration: none; }
+header a.active { color: #fff; font-weight: 600; }
+main { padding: 16px 24px; }
+section { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; margin-bottom: 16px; }
+h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 0; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+.status { font-weight: 600; }
+.notice { background: #ddf4ff; border: 1px solid #54aeff; padding: 8px 12px; border-radius: 6px; margin-bottom: 16px; }
+.empty { color: #57606a; }
+.error { color: #cf222e; max-width: 420px; word-break: break-word; }
+form.inline { display: inline; }
+input, select, button { font-size: 13px; padding: 4px 6px; margin-right: 6px; }
+</style>
+</head>
+<body>
+<header>${links}</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ""}
+${body}
+</main>
+</body>
+</html>`;
+};
+
+// Function to render the resend form for an order notification
+const renderResendForm = ({ formToken, topics, orderRef = "" }) => {
+  return `<form method="post" action="/dashboard/resend">
+<input type="hidden" name="formToken" value="${escapeHtml(formToken)}">
+<input name="orderRef" placeholder="Order #1001 or id" value="${escapeHtml(orderRef)}" required>
+<select name="topic">${topics.map((topic) => `<option>${escapeHtml(topic)}</option>`).join("")}</select>
+<select name="audience"><option value="customer">Customer</option><option value="admin">Admins</option><option value="both">Both</option></select>
+<button type="submit">Resend</button>
+</form>`;
+};
+
+// Function to render the overview page (configuration checks, queue and delivery counts, resend)
+const renderOverview = ({ checks, queueStats, deliveryCounts, topics, formToken, notice }) => {
+  const settingRows = renderTable(
+    [
+      ["Setting", (row) => escapeHtml(row.name)],
+      ["Status", (row) => (row.ok ? "✅ Set" : "❌ Missing")],
+      ["Value", (row) => escapeHtml(row.value ?? "")],
+    ],
+    checks.settings,
+    "No settings"
+  );
+
+  const shops = checks.shops.map((shop) => `<section>
+<h2>🏬 ${escapeHtml(shop.name)}${shop.shopDomain ? ` (${escapeHtml(shop.shopDomain)})` : ""}</h2>
+${renderTable(
+    [
+      ["Check", (row) => escapeHtml(row.name)],
+      ["Status", (row) => (row.ok ? "✅ Set" : "❌ Missing")],
+      ["Value", (row) => escapeHtml(row.value ?? "")],
+    ],
+    shop.checks,
+    "No checks"
+  )}
+<h2>Admins</h2>
+${renderTable(
+    [
+      ["Name", (admin) => escapeHtml(admin.name)],
+      ["Phone", (admin) => escapeHtml(admin.phone || "-")],
+      ["Email", (admin) => escapeHtml(admin.email || "-")],
+      ["Roles", (admin) => escapeHtml(admin.roles.join(", "))],
+      ["Quiet hours", (admin) => escapeHtml(admin.quietHours ? `${admin.quietHours.start}-${admin.quietHours.end}` : "-")],
+    ],
+    shop.admins,
+    "No admins configured"
+  )}
+</section>`).join("");
+
+  const counts = (stats) => Object.entries(stats)
+    .map(([status, count]) => `${renderStatus(status)}: ${count}`)
+    .join(" &nbsp; ");
+
+  return renderLayout({
+    title: "Overview",
+    active: "/dashboard",
+    notice,
+    body: `<section><h2>Outbound queue</h2><p>${counts(queueStats)}</p>
+<h2>Webhook deliveries (kept ${escapeHtml(checks.deliveryRetentionHours)}h)</h2><p>${counts(deliveryCounts) || "None"}</p></section>
+<section><h2>Resend a notification</h2>${renderResendForm({ formToken, topics })}</section>
+<section><h2>Configuration</h2>${settingRows}
+<p>Customer channels: ${escapeHtml(checks.channels.customer)}<br>Admin channels: ${escapeHtml(checks.channels.admin)}<br>Digests: ${escapeHtml(checks.digests)}
+<br>Webhooks older than ${escapeHtml(checks.webhookMaxAgeMinutes)} minutes are rejected</p></section>
+${shops}`,
+  });
+};
+
+// Function to render recent webhook deliveries with retry buttons for failed ones
+const renderDeliveries = ({ deliveries, status, formToken, notice }) => {
+  const filter = `<form method="get" action="/dashboard/deliveries">
+<select name="status">${["", "received", "queued", "processing", "processed", "failed", "rejected"]
+    .map((value) => `<option value="${value}"${value === (status || "") ? " selected" : ""}>${value || "Any status"}</option>`)
+    .join("")}</select><button type="submit">Filter</button></form>`;
+
+  const table = renderTable(
+    [
+      ["Received", (delivery) => formatTime(delivery.receivedAt)],
+      ["Topic", (delivery) => escapeHtml(delivery.topic)],
+      ["Order", (delivery) => escapeHtml(delivery.orderName || delivery.orderId || "-")],
+      ["Shop", (delivery) => escapeHtml(delivery.tenantId || "-")],
+      ["Status", (delivery) => renderStatus(delivery.status)],
+      ["Attempts", (delivery) => escapeHtml(delivery.attempts)],
+      ["Error", (delivery) => `<span class="error">${escapeHtml(delivery.error || "")}</span>`],
+      ["", (delivery) => (["failed", "rejected"].includes(delivery.status)
+        ? `<form class="inline" method="post" action="/dashboard/deliveries/${encodeURIComponent(delivery.key)}/retry">
+<input type="hidden" name="formToken" value="${escapeHtml(formToken)}"><button type="submit">Retry</button></form>`
+        : "")],
+    ],
+    deliveries,
+    "No webhook deliveries recorded"
+  );
+
+  return renderLayout({
+    title: "Webhook deliveries",
+    active: "/dashboard/deliveries",
+    notice,
+    body: `<section>${filter}</section><section>${table}</section>`,
+  });
+};
+
+// Function to render outbound messages (recipients are masked)
+const renderMessages = ({ notifications, filters, topics, formToken, notice }) => {
+  const filter = `<form method="get" action="/dashboard/messages">
+<input name="order" placeholder="Order" value="${escapeHtml(filters.order || "")}">
+<select name="status">${["", "queued", "retrying", "sent", "failed"]
+    .map((value) => `<option value="${value}"${value === (filters.status || "") ? " selected" : ""}>${value || "Any status"}</option>`)
+    .join("")}</select><button type="submit">Filter</button></form>`;
+
+  const table = renderTable(
+    [
+      ["Created", (entry) => formatTime(entry.createdAt)],
+      ["Topic", (entry) => escapeHtml(entry.topic || "-")],
+      ["Order", (entry) => escapeHtml(entry.orderName || entry.orderId || "-")],
+      ["To", (entry) => escapeHtml(
+        [entry.recipientName, maskPhone(entry.recipient), maskEmail(entry.recipientEmail)].filter(Boolean).join(" · ") || "-"
+      )],
+      ["Channel", (entry) => escapeHtml(entry.channel || "whatsapp")],
+      ["Template", (entry) => escapeHtml(entry.templateName || entry.type || "-")],
+      ["Status", (entry) => renderStatus(entry.status)],
+      ["Delivery", (entry) => (entry.deliveryStatus ? renderStatus(entry.deliveryStatus) : "-")],
+      ["Error", (entry) => `<span class="error">${escapeHtml(entry.error || "")}</span>`],
+    ],
+    notifications,
+    "No messages found"
+  );
+
+  return renderLayout({
+    title: "Messages",
+    active: "/dashboard/messages",
+    notice,
+    body: `<section>${filter}</section>
+<section><h2>Resend a notification</h2>${renderResendForm({ formToken, topics, orderRef: filters.order })}</section>
+<section>${table}</section>`,
+  });
+};
+
+module.exports = { escapeHtml, renderOverview, renderDeliveries, renderMessages };
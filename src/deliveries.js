@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const { createCollection } = require("./collection");
+const { logger } = require("./logger");
+
+// Deliveries older than this are pruned from the store
+const DELIVERY_RETENTION_HOURS = Number(process.env.DELIVERY_RETENTION_HOURS) || 72;
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour in milliseconds
+
+const deliveries = createCollection("webhook-deliveries");
+
+// Function to build the delivery key (falls back to shop + topic + a hash of the body when the webhook id is absent)
+// Shopify resends the same body when it retries, while each shipment or refund of an order has its own
+const getDeliveryKey = ({ webhookId, tenantId, topic, rawBody }) => {
+  if (webhookId) return webhookId;
+  const bodyHash = crypto.createHash("sha256").update(rawBody || "").digest("hex");
+  return `${tenantId}:${topic}:${bodyHash}`;
+};
+
+// Function to look up a delivery by webhook id (or fallback key)
+const getDelivery = (key) => deliveries.get(key);
+
+// Function to check whether a delivery belongs to an order (by id or name, "#" optional)
+const matchesOrder = (delivery, orderRef) => {
+  const ref = String(orderRef).replace(/^#/, "");
+  return String(delivery.orderId) === ref || (delivery.orderName || "").replace(/^#/, "") === ref;
+};
+
+// Function to list deliveries, optionally filtered by order, topic and/or status
+const findDeliveries = ({ orderId, topic, status } = {}) => {
+  return deliveries
+    .values()
+    .filter((delivery) => !orderId || matchesOrder(delivery, orderId))
+    .filter((delivery) => !topic || delivery.topic === topic)
+    .filter((delivery) => !status || delivery.status === status)
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+};
+
+// Function to strip the stored payload for listings
+const summarizeDelivery = ({ payload, ...summary }) => summary;
+
+// Function to update fields on a stored delivery
+const updateDelivery = (key, changes) => {
+  const current = deliveries.get(key);
+  if (!current) return null;
+  return deliveries.set(key, { ...current, ...changes });
+};
+
+// Function to start processing a delivery; returns null if it is a repeat
+// Each delivery gets a correlation id that follows it into every message it sends
+const beginDelivery = ({ webhookId, tenantId, topic, orderId, orderName, rawBody }) => {
+  const key = getDeliveryKey({ webhookId, tenantId, topic, rawBody });
+  const existing = deliveries.get(key);
+  const now = new Date().toISOString();
+
+  // Failed deliveries may be retried, anything else has already been handled
+  if (existing && existing.status !== "failed") {
+    deliveries.set(key, {
+      ...existing,
+      attempts: existing.attempts + 1,
+      lastSeenAt: now,
+    });
+    return null;
+  }
+
+  return deliveries.set(key, {
+    key,
+    webhookId: webhookId || null,
+    tenantId: tenantId || null,
+    topic,
+    orderId: orderId ?? null,
+    orderName: orderName || null,
+    correlationId: existing?.correlationId || crypto.randomUUID(),
+    status: "received",
+    attempts: existing ? existing.attempts + 1 : 1,
+    receivedAt: existing ? existing.receivedAt : now,
+    lastSeenAt: now,
+    completedAt: null,
+    error: null,
+    payload: null,
+  });
+};
+
+// Function to record the outcome of a delivery
+const completeDelivery = (delivery, status, error = null) => {
+  if (!delivery) return null;
+  const current = deliveries.get(delivery.key) || delivery;
+  return deliveries.set(delivery.key, {
+    ...current,
+    status,
+    completedAt: new Date().toISOString(),
+    error: error ? String(error.message || error) : null,
+  });
+};
+
+// Function to drop deliveries older than the retention window
+const pruneDeliveries = () => {
+  const cutoff = Date.now() - DELIVERY_RETENTION_HOURS * 60 * 60 * 1000;
+  let removed = 0;
+
+  deliveries.values().forEach((delivery) => {
+    if (new Date(delivery.lastSeenAt).getTime() < cutoff) {
+      deliveries.delete(delivery.key);
+      removed++;
+    }
+  });
+
+  if (removed > 0) {
+    logger.info("Pruned old webhook deliveries", { removed, retentionHours: DELIVERY_RETENTION_HOURS });
+  }
+  return removed;
+};
+
+// Dedupe middleware (must run after tenant resolution and HMAC verification)
+// Repeated deliveries are acknowledged with 200 so Shopify stops retrying
+function dedupeWebhook(req, res, next) {
+  const delivery = beginDelivery({
+    webhookId: req.get("X-Shopify-Webhook-Id"),
+    tenantId: req.tenant?.id,
+    topic: req.path.replace(/^\/webhook\//, ""), // the route decides which handler runs
+    orderId: req.body?.order_id ?? req.body?.id, // refunds and fulfillments carry order_id
+    orderName: req.body?.name,
+    rawBody: req.rawBody,
+  });
+
+  if (!delivery) {
+    logger.info("Duplicate webhook delivery ignored", { webhookId: req.get("X-Shopify-Webhook-Id"), path: req.path });
+    return res.status(200).send("OK - duplicate delivery");
+  }
+
+  req.delivery = delivery;
+  return next();
+}
+
+// Function to start retention pruning (server only, so other processes never write at startup)
+const startDeliveryPruning = () => {
+  pruneDeliveries();
+  setInterval(pruneDeliveries, PRUNE_INTERVAL).unref();
+};
+
+module.exports = {
+  DELIVERY_RETENTION_HOURS,
+  getDelivery,
+  findDeliveries,
+  summarizeDelivery,
+  updateDelivery,
+  beginDelivery,
+  completeDelivery,
+  pruneDeliveries,
+  startDeliveryPruning,
+  dedupeWebhook,
+};
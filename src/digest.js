@@ -0,0 +1,243 @@
+const { createCollection } = require("./collection");
+const { listOrders } = require("./order-store");
+const { searchNotifications } = require("./notification-history");
+const { formatMoney, isCashOnDelivery } = require("./order-format");
+const { DEFAULT_TENANT_ID } = require("./tenants");
+
+// Digest schedule (times are local to DIGEST_TIMEZONE, "off" disables a digest)
+const DIGEST_TIMEZONE = process.env.DIGEST_TIMEZONE || "Asia/Kolkata";
+const DIGEST_DAILY_TIME = process.env.DIGEST_DAILY_TIME || "21:00";
+const DIGEST_WEEKLY_DAY = (process.env.DIGEST_WEEKLY_DAY || "off").toLowerCase();
+const DIGEST_WEEKLY_TIME = process.env.DIGEST_WEEKLY_TIME || "21:00";
+const DIGEST_STALE_DAYS = Number(process.env.DIGEST_STALE_DAYS) || 3;
+const DIGEST_TOP_PRODUCTS = 5;
+
+const PERIODS = { daily: 1, weekly: 7 };
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DAY = 24 * 60 * 60 * 1000; // 1 day in milliseconds
+
+// Thrown when a digest setting is invalid
+class DigestConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message);
+    this.name = "DigestConfigError";
+    this.problems = problems;
+  }
+}
+
+// Function to normalise a digest time to zero-padded HH:MM ("9:00" -> "09:00"), so it compares
+// correctly with the local time; "off" stays "off" and anything else gives null
+const normalizeDigestTime = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (text === "off") return "off";
+  const match = text.match(TIME_PATTERN);
+  return match ? `${match[1].padStart(2, "0")}:${match[2]}` : null;
+};
+
+const DAILY_TIME = normalizeDigestTime(DIGEST_DAILY_TIME);
+const WEEKLY_TIME = normalizeDigestTime(DIGEST_WEEKLY_TIME);
+
+// Function to validate the digest times, throwing on problems
+const validateDigestSchedule = () => {
+  const problems = [
+    ["DIGEST_DAILY_TIME", DIGEST_DAILY_TIME, DAILY_TIME],
+    ["DIGEST_WEEKLY_TIME", DIGEST_WEEKLY_TIME, WEEKLY_TIME],
+  ]
+    .filter(([, , time]) => time === null)
+    .map(([name, value]) => `${name} "${value}" must be a 24-hour HH:MM time or "off"`);
+
+  if (problems.length > 0) {
+    throw new DigestConfigError("Invalid digest schedule", problems);
+  }
+};
+
+// Sent digests, so a restart doesn't send the same one twice
+const sentDigests = createCollection("digests");
+
+// Function to read a date's calendar parts in the digest timezone
+const getLocalParts = (date) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: DIGEST_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "long",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return {
+    date: `${part("year")}-${part("month")}-${part("day")}`,
+    time: `${part("hour")}:${part("minute")}`,
+    weekday: part("weekday").toLowerCase(),
+  };
+};
+
+// Function to get the instant a local calendar date starts in the digest timezone
+const getLocalMidnight = (localDate) => {
+  const guess = new Date(`${localDate}T00:00:00Z`);
+  const { date, time } = getLocalParts(guess);
+  const offset = new Date(`${date}T${time}:00Z`).getTime() - guess.getTime();
+  return new Date(guess.getTime() - offset);
+};
+
+// Function to get the [from, to) range a digest covers: the date itself, or the week ending with it
+const getPeriodRange = (localDate, period) => {
+  const to = new Date(getLocalMidnight(localDate).getTime() + DAY);
+  const from = new Date(to.getTime() - PERIODS[period] * DAY);
+  return { from, to };
+};
+
+// Function to compute a shop's digest for a local date ("YYYY-MM-DD") and period
+const buildDigest = ({ tenant, date, period = "daily" }) => {
+  if (!PERIODS[period]) {
+    throw new Error(`Unknown digest period "${period}" (use ${Object.keys(PERIODS).join(" or ")})`);
+  }
+  if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    throw new Error(`Invalid digest date "${date}" (use YYYY-MM-DD)`);
+  }
+
+  const { from, to } = getPeriodRange(date, period);
+  const orders = listOrders({ tenantId: tenant.id, from, to });
+  const placed = orders.filter((order) => !order.cancelled_at);
+
+  const revenue = {};
+  placed.forEach((order) => {
+    const currency = order.currency || "INR";
+    revenue[currency] = (revenue[currency] || 0) + Number(order.total_price || 0);
+  });
+
+  const productQuantities = {};
+  placed.flatMap((order) => order.line_items || []).forEach((item) => {
+    const name = item.title || item.name || "Item";
+    productQuantities[name] = (productQuantities[name] || 0) + Number(item.quantity || 0);
+  });
+  const topProducts = Object.entries(productQuantities)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, DIGEST_TOP_PRODUCTS)
+    .map(([name, quantity]) => ({ name, quantity }));
+
+  // Orders still waiting to ship N days before the end of the period, whenever they were placed
+  const staleCutoff = new Date(to.getTime() - DIGEST_STALE_DAYS * DAY);
+  const staleUnfulfilled = listOrders({ tenantId: tenant.id, to: staleCutoff })
+    .filter((order) => !order.cancelled_at && order.fulfillment_status !== "fulfilled")
+    .map((order) => ({ id: order.id, name: order.name, createdAt: order.created_at }));
+
+  const failedNotifications = searchNotifications({
+    status: "failed",
+    from: from.toISOString(),
+    to: to.toISOString(),
+    limit: 1000,
+  })
+    .filter((entry) => (entry.tenantId || DEFAULT_TENANT_ID) === tenant.id)
+    .map((entry) => ({
+      id: entry.id,
+      topic: entry.topic,
+      orderName: entry.orderName,
+      audience: entry.audience,
+      error: entry.error,
+    }));
+
+  return {
+    shop: tenant.name,
+    period,
+    date,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    orderCount: orders.length,
+    cancelledCount: orders.length - placed.length,
+    revenue,
+    codCount: placed.filter(isCashOnDelivery).length,
+    prepaidCount: placed.filter((order) => !isCashOnDelivery(order)).length,
+    topProducts,
+    staleDays: DIGEST_STALE_DAYS,
+    staleUnfulfilled,
+    failedNotifications,
+  };
+};
+
+// Function to turn a digest into the admin message
+const formatDigest = (digest) => {
+  const listNames = (items) => {
+    const names = items.slice(0, 10).map((item) => item.name || item.orderName || item.id);
+    return items.length > 10 ? `${names.join(", ")} and ${items.length - 10} more` : names.join(", ");
+  };
+  const revenue = Object.entries(digest.revenue)
+    .map(([currency, amount]) => formatMoney(amount, currency))
+    .join(" + ") || formatMoney(0, "INR");
+
+  const lines = [
+    `Dear Admin, here is the ${digest.period} summary for ${digest.shop}`
+      + ` (${digest.period === "weekly" ? "week ending " : ""}${digest.date}):`,
+    `Orders: ${digest.orderCount}${digest.cancelledCount > 0 ? ` (${digest.cancelledCount} cancelled)` : ""}`,
+    `Revenue: ${revenue}`,
+    `COD: ${digest.codCount} | Prepaid: ${digest.prepaidCount}`,
+  ];
+
+  if (digest.topProducts.length > 0) {
+    lines.push("Top products:");
+    digest.topProducts.forEach((product, index) => lines.push(`${index + 1}. ${product.name} - ${product.quantity} nos`));
+  }
+
+  lines.push(`Unfulfilled for more than ${digest.staleDays} days: ${digest.staleUnfulfilled.length}`
+    + `${digest.staleUnfulfilled.length > 0 ? ` (${listNames(digest.staleUnfulfilled)})` : ""}`);
+
+  const failed = digest.failedNotifications;
+  lines.push(`Failed notifications: ${failed.length}`
+    + `${failed.length > 0 ? ` (${listNames(failed.map((entry) => ({ name: `${entry.topic} ${entry.orderName || ""}`.trim() })))})` : ""}`);
+
+  return lines.join("\n");
+};
+
+// Function to get the digests whose send time has passed today and that weren't sent yet
+const findDueDigests = (tenants, now = new Date()) => {
+  const { date, time, weekday } = getLocalParts(now);
+  const schedules = [
+    { period: "daily", time: DAILY_TIME, enabled: Boolean(DAILY_TIME) && DAILY_TIME !== "off" },
+    { period: "weekly", time: WEEKLY_TIME, enabled: Boolean(WEEKLY_TIME) && WEEKLY_TIME !== "off" && DIGEST_WEEKLY_DAY === weekday },
+  ];
+
+  return schedules
+    .filter((schedule) => schedule.enabled && time >= schedule.time)
+    .flatMap((schedule) => tenants.map((tenant) => ({ tenant, period: schedule.period, date })))
+    .filter(({ tenant, period }) => !sentDigests.get(`${tenant.id}:${period}:${date}`));
+};
+
+// Function to remember a digest was sent
+const markDigestSent = (tenantId, period, date) => {
+  return sentDigests.set(`${tenantId}:${period}:${date}`, { tenantId, period, date, sentAt: new Date().toISOString() });
+};
+
+// Function to forget sent digests after a month
+const pruneDigests = () => {
+  const cutoff = Date.now() - 35 * DAY;
+  sentDigests.values()
+    .filter((entry) => new Date(entry.sentAt).getTime() < cutoff)
+    .forEach((entry) => sentDigests.delete(`${entry.tenantId}:${entry.period}:${entry.date}`));
+};
+
+// Function to describe the schedule for the startup banner
+const describeDigestSchedule = () => {
+  const daily = DAILY_TIME && DAILY_TIME !== "off" ? `daily at ${DAILY_TIME}` : "daily off";
+  const weekly = WEEKDAYS.includes(DIGEST_WEEKLY_DAY) && WEEKLY_TIME && WEEKLY_TIME !== "off"
+    ? `weekly on ${DIGEST_WEEKLY_DAY} at ${WEEKLY_TIME}`
+    : "weekly off";
+  return `${daily}, ${weekly} (${DIGEST_TIMEZONE})`;
+};
+
+module.exports = {
+  DIGEST_TIMEZONE,
+  DigestConfigError,
+  normalizeDigestTime,
+  validateDigestSchedule,
+  getLocalParts,
+  buildDigest,
+  formatDigest,
+  findDueDigests,
+  markDigestSent,
+  pruneDigests,
+  describeDigestSchedule,
+};
@@ -0,0 +1,124 @@
+const { createCollection } = require("./collection");
+const { getChangeValues } = require("./whatsapp-webhook");
+const { extractTrackingInfo } = require("./tracking");
+const { NO_CARRIER } = require("./carriers");
+
+// Inbound message ids are remembered this long so Meta's retries aren't answered twice
+const INBOUND_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+
+const inboundMessages = createCollection("inbound-messages");
+
+// Quick-reply button payloads and the intents they map to
+const QUICK_REPLY_INTENTS = {
+  TRACK_ORDER: "track",
+  CANCEL_ORDER: "cancel",
+  TALK_TO_HUMAN: "human",
+};
+
+// Keyword patterns checked in order (first match wins)
+const KEYWORD_INTENTS = [
+  ["cancel", /\bcancel/i],
+  ["human", /\b(human|agent|person|someone|call me|talk to|support|customer care)\b/i],
+  ["track", /\b(where|track\w*|status|ship\w*|dispatch\w*|deliver\w*|kab|kahan|kaha)\b/i],
+];
+
+// Human-readable shipment statuses
+const SHIPMENT_STATUS_LABELS = {
+  confirmed: "confirmed by the courier",
+  in_transit: "in transit",
+  out_for_delivery: "out for delivery",
+  attempted_delivery: "a delivery attempt was made",
+  delivered: "delivered",
+  failure: "delivery failed",
+};
+
+// Function to list inbound customer messages in a WhatsApp webhook payload
+// Each message is { id, phoneNumberId, from, name, type, text, quickReply, timestamp }
+// phoneNumberId is our WhatsApp number the customer wrote to (it identifies the tenant)
+const getInboundMessages = (body) => {
+  return getChangeValues(body).flatMap((value) => {
+    const names = Object.fromEntries((value.contacts || []).map((contact) => [contact.wa_id, contact.profile?.name]));
+    return (value.messages || []).map((message) => ({
+      id: message.id,
+      phoneNumberId: value.metadata?.phone_number_id || null,
+      from: message.from,
+      name: names[message.from] || null,
+      type: message.type,
+      text: message.text?.body
+        || message.button?.text
+        || message.interactive?.button_reply?.title
+        || message.interactive?.list_reply?.title
+        || "",
+      quickReply: message.button?.payload
+        || message.interactive?.button_reply?.id
+        || message.interactive?.list_reply?.id
+        || null,
+      timestamp: message.timestamp,
+    }));
+  });
+};
+
+// Function to remember an inbound message id; returns false if it was already seen
+const markInboundSeen = (message) => {
+  if (inboundMessages.get(message.id)) return false;
+
+  inboundMessages.set(message.id, {
+    id: message.id,
+    from: message.from,
+    type: message.type,
+    receivedAt: new Date().toISOString(),
+  });
+
+  // Prune old ids while we're here
+  const cutoff = Date.now() - INBOUND_RETENTION;
+  inboundMessages.values()
+    .filter((seen) => new Date(seen.receivedAt).getTime() < cutoff)
+    .forEach((seen) => inboundMessages.delete(seen.id));
+  return true;
+};
+
+// Function to work out what the customer wants: "track", "cancel", "human" or "unknown"
+const detectIntent = (message) => {
+  if (message.quickReply && QUICK_REPLY_INTENTS[message.quickReply]) {
+    return QUICK_REPLY_INTENTS[message.quickReply];
+  }
+  const match = KEYWORD_INTENTS.find(([, pattern]) => pattern.test(message.text || ""));
+  return match ? match[0] : "unknown";
+};
+
+// Function to describe an order's current status in one line for the customer
+const describeOrderStatus = (order) => {
+  if (order.cancelled_at) {
+    return `Order ${order.name} was cancelled.`;
+  }
+
+  const { shipments } = extractTrackingInfo(order);
+  if (shipments.length === 0) {
+    return `Order ${order.name} is confirmed and being prepared for shipping.`;
+  }
+
+  const shipmentLines = shipments.map((shipment, idx) => {
+    const label = shipments.length > 1 ? `Package ${idx + 1}` : "Your package";
+    const status = SHIPMENT_STATUS_LABELS[shipment.shipmentStatus] || "shipped";
+    const carrier = shipment.carrier && shipment.carrier !== NO_CARRIER ? ` via ${shipment.carrier}` : "";
+    const tracking = shipment.trackingNumbers.length > 0 ? ` (tracking ${shipment.trackingNumbers.join(", ")})` : "";
+    const link = shipment.trackingUrls[0] ? ` ${shipment.trackingUrls[0]}` : "";
+    return `${label} is ${status}${carrier}${tracking}.${link}`;
+  });
+
+  return `Order ${order.name}: ${shipmentLines.join(" ")}`;
+};
+
+// Function to check whether an order can still be cancelled by request
+const isCancellable = (order) => {
+  return !order.cancelled_at && !order.fulfillment_status && (order.fulfillments || []).length === 0;
+};
+
+module.exports = {
+  QUICK_REPLY_INTENTS,
+  getInboundMessages,
+  markInboundSeen,
+  detectIntent,
+  describeOrderStatus,
+  isCancellable,
+};
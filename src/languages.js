@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const LANGUAGE_CONFIG_PATH = process.env.LANGUAGE_CONFIG_PATH
+  || path.join(__dirname, "..", "config", "languages.json");
+
+let languageConfig = null;
+
+// Function to get the language selection configuration (loaded on first use)
+const getLanguageConfig = () => {
+  if (!languageConfig) {
+    try {
+      languageConfig = JSON.parse(fs.readFileSync(LANGUAGE_CONFIG_PATH, "utf8"));
+    } catch (err) {
+      logger.warn("Unable to read language configuration, using \"en\" for everyone", { path: LANGUAGE_CONFIG_PATH, error: err.message });
+      languageConfig = {};
+    }
+  }
+  return {
+    default: "en",
+    tagPrefix: "lang:",
+    countries: {},
+    provinces: {},
+    ...languageConfig,
+  };
+};
+
+// Function to expand a locale into WhatsApp language codes, most specific first ("hi-IN" -> ["hi_IN", "hi"])
+const localeToLanguageCodes = (locale) => {
+  if (!locale || typeof locale !== "string") return [];
+  const [language, region] = locale.trim().replace("-", "_").split("_");
+  if (!language) return [];
+  return region
+    ? [`${language.toLowerCase()}_${region.toUpperCase()}`, language.toLowerCase()]
+    : [language.toLowerCase()];
+};
+
+// Function to read a language from customer tags like "lang:hi"
+const getTaggedLanguage = (customer, tagPrefix) => {
+  const tags = String(customer?.tags || "").split(",").map((tag) => tag.trim());
+  const languageTag = tags.find((tag) => tag.toLowerCase().startsWith(tagPrefix.toLowerCase()));
+  return languageTag ? languageTag.slice(tagPrefix.length).trim() : null;
+};
+
+// Function to list the customer's preferred languages in priority order:
+// customer tag, order locale, shipping province, shipping country
+const getPreferredLanguages = (order) => {
+  const config = getLanguageConfig();
+  const address = order?.shipping_address || order?.billing_address || {};
+  const countryCode = (address.country_code || "").toUpperCase();
+  const provinceCode = (address.province_code || "").toUpperCase();
+
+  return [
+    ...localeToLanguageCodes(getTaggedLanguage(order?.customer, config.tagPrefix)),
+    ...localeToLanguageCodes(order?.customer_locale),
+    ...localeToLanguageCodes(config.provinces[countryCode]?.[provinceCode]),
+    ...localeToLanguageCodes(config.countries[countryCode]),
+  ];
+};
+
+// Function to pick the customer's template language from the approved translations
+const resolveCustomerLanguage = (order, approvedLanguages, fallbackLanguage) => {
+  const approved = approvedLanguages.filter(Boolean);
+  const match = getPreferredLanguages(order).find((code) => approved.includes(code));
+  return match || fallbackLanguage || getLanguageConfig().default;
+};
+
+module.exports = {
+  LANGUAGE_CONFIG_PATH,
+  getLanguageConfig,
+  getPreferredLanguages,
+  resolveCustomerLanguage,
+};
@@ -0,0 +1,70 @@
+const { maskPhone, maskEmail, maskSecret } = require("./masking");
+
+// Structured logger: one JSON object per line ({ time, level, msg, ...fields })
+// Fields are masked by name, so phones, emails, addresses and secrets never reach the log
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "").toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : "info";
+const MAX_DEPTH = 5;
+
+// Field names whose values are masked (checked in this order)
+const REDACTED_FIELDS = /address/i;
+const MASKED_FIELDS = [
+  [/email/i, maskEmail],
+  [/secret|token|password|authorization/i, maskSecret],
+  [/phone|whatsapp$|^to$|^from$|^recipients?$|^contacts?$/i, maskPhone],
+];
+
+// Function to turn an error into loggable fields (axios errors carry request headers, so only
+// the message, code and provider status are kept)
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  status: error.response?.status,
+  stack: LOG_LEVEL === "debug" ? error.stack : undefined,
+});
+
+// Function to mask a field value by its name (nested objects and arrays are masked too)
+const maskValue = (key, value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || value === undefined || depth > MAX_DEPTH) return value;
+  if (REDACTED_FIELDS.test(key)) return "[redacted]";
+  if (Array.isArray(value)) return value.map((entry) => maskValue(key, entry, depth + 1));
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([name, entry]) => [name, maskValue(name, entry, depth + 1)]));
+  }
+
+  const masker = MASKED_FIELDS.find(([pattern]) => pattern.test(key));
+  return masker ? masker[1](value) : value;
+};
+
+// Function to write one log line
+const write = (level, bindings, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...maskValue("", { ...bindings, ...fields }),
+  };
+  const line = JSON.stringify(entry);
+  if (level === "error") {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+// Function to create a logger whose lines all carry the given fields (e.g. a correlation id)
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write("debug", bindings, msg, fields),
+  info: (msg, fields) => write("info", bindings, msg, fields),
+  warn: (msg, fields) => write("warn", bindings, msg, fields),
+  error: (msg, fields) => write("error", bindings, msg, fields),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+});
+
+const logger = createLogger();
+
+module.exports = { LOG_LEVEL, logger, createLogger };
@@ -0,0 +1,24 @@
+// Function to mask a phone number, keeping the country code and last 4 digits ("91******3210")
+const maskPhone = (phone) => {
+  if (!phone) return phone;
+  const digits = String(phone).replace(/\D/g, "");
+  if (digits.length <= 6) return "*".repeat(digits.length);
+  return `${digits.slice(0, 2)}${"*".repeat(digits.length - 6)}${digits.slice(-4)}`;
+};
+
+// Function to mask an email address, keeping the first letter and the domain ("a***@example.com")
+const maskEmail = (email) => {
+  if (!email) return email;
+  const [local, domain] = String(email).split("@");
+  if (!domain) return "***";
+  return `${local.slice(0, 1)}***@${domain}`;
+};
+
+// Function to mask a secret, showing only whether it is set and its last 4 characters
+const maskSecret = (secret) => {
+  if (!secret) return null;
+  const value = String(secret);
+  return value.length > 12 ? `••••${value.slice(-4)}` : "••••";
+};
+
+module.exports = { maskPhone, maskEmail, maskSecret };
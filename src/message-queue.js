@@ -0,0 +1,316 @@
+const crypto = require("crypto");
+const { createCollection } = require("./collection");
+const { getChannel } = require("./channels");
+const { recordNotification } = require("./notification-history");
+const { getTenantById } = require("./tenants");
+const { logger } = require("./logger");
+const { messagesSent, messagesFailed } = require("./metrics");
+
+// Queue configuration
+const MAX_ATTEMPTS = Number(process.env.MESSAGE_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY = 5 * 1000; // 5 seconds in milliseconds
+const MAX_RETRY_DELAY = 15 * 60 * 1000; // 15 minutes in milliseconds
+const RATE_LIMIT_PAUSE = 60 * 1000; // 1 minute in milliseconds
+const POLL_INTERVAL = 2 * 1000; // 2 seconds in milliseconds
+const SENT_RETENTION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+
+const messages = createCollection("outbound-messages");
+
+// Worker state (rate limits pause one channel, keyed by channel name)
+let workerInterval = null;
+let processing = false;
+const pausedUntil = {};
+
+// Function to check whether a channel is paused after hitting a rate limit
+const isChannelPaused = (channel) => Date.now() < (pausedUntil[channel] || 0);
+
+// Function to compute the exponential backoff delay (with jitter) for an attempt
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Function to update a queued message (and its notification history entry)
+const updateMessage = (message, changes) => {
+  const updated = messages.set(message.id, {
+    ...message,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+  recordNotification(updated);
+  return updated;
+};
+
+// Function to add a message to the queue
+// content is the message in each channel's form: { whatsapp (Graph API payload), text, subject }
+// meta describes the message for admins (audience, recipient, recipientEmail, template, ...) and
+// meta.tenantId picks the WhatsApp number it is sent from
+// channels is the fallback order: the next channel is tried when one fails for good
+// sendAt holds the message until then (e.g. the end of an admin's quiet hours)
+// meta.correlationId ties the message to the webhook or inbound message that caused it
+// (messages without one, like digests, are correlated by their own id)
+const enqueueMessage = (content, meta = {}, channels = ["whatsapp"], { sendAt = null } = {}) => {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const message = messages.set(id, {
+    id,
+    content,
+    meta: { ...meta, correlationId: meta.correlationId || id },
+    channels,
+    channel: channels[0],
+    fallbacks: [],
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: sendAt ? new Date(sendAt).toISOString() : now,
+    lastError: null,
+    messageId: null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null,
+  });
+  recordNotification(message);
+
+  // Don't wait for the next poll to send
+  setImmediate(processQueue);
+  return message;
+};
+
+// Function to get a logger for a message, carrying its correlation id and recipient (masked)
+const getMessageLogger = (message) => logger.child({
+  correlationId: message.meta.correlationId || null,
+  messageId: message.id,
+  topic: message.meta.topic,
+  recipient: message.meta.recipient,
+  recipientEmail: message.meta.recipientEmail,
+});
+
+// Function to get the template label a message is counted under in metrics
+const getTemplateLabel = (message) => {
+  return message.meta.templateName || message.content?.whatsapp?.template?.name || message.content?.whatsapp?.type || "text";
+};
+
+// Function to move a message on to the next channel that can carry it, or dead-letter it
+// when every channel in its route has failed or can't be used
+const fallBack = (message, tenant, error) => {
+  const fallbacks = [...message.fallbacks, { channel: message.channel, error, at: new Date().toISOString() }];
+  const remaining = message.channels.slice(message.channels.indexOf(message.channel) + 1);
+
+  for (const channel of remaining) {
+    const reason = getChannel(channel).getUnavailableReason(message, tenant);
+    if (!reason) {
+      getMessageLogger(message).warn("Message falling back to the next channel", { from: message.channel, channel, error });
+      return updateMessage(message, {
+        status: "pending",
+        channel,
+        fallbacks,
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: error,
+      });
+    }
+    fallbacks.push({ channel, error: reason, at: new Date().toISOString() });
+  }
+
+  const lastError = fallbacks.map((fallback) => `${fallback.channel}: ${fallback.error}`).join("; ");
+  getMessageLogger(message).error("Message moved to dead-letter list", { error: lastError });
+  messagesFailed.inc({ template: getTemplateLabel(message), channel: message.channel });
+  return updateMessage(message, { status: "dead", fallbacks, lastError });
+};
+
+// Function to send a single queued message and record the outcome
+const deliverMessage = async (message) => {
+  const sending = updateMessage(message, {
+    status: "sending",
+    attempts: message.attempts + 1,
+  });
+
+  // Credentials are looked up at send time so tokens never sit in the queue file
+  const tenant = getTenantById(sending.meta.tenantId);
+  if (!tenant) {
+    updateMessage(sending, { status: "dead", lastError: `Unknown tenant ${sending.meta.tenantId}` });
+    getMessageLogger(sending).error("Message moved to dead-letter list: unknown tenant", { tenantId: sending.meta.tenantId });
+    messagesFailed.inc({ template: getTemplateLabel(sending), channel: sending.channel });
+    return;
+  }
+
+  const channel = getChannel(sending.channel);
+  const unavailable = channel
+    ? channel.getUnavailableReason(sending, tenant)
+    : `unknown channel "${sending.channel}"`;
+  if (unavailable) {
+    fallBack(sending, tenant, unavailable);
+    return;
+  }
+
+  try {
+    const { messageId } = await channel.send(sending, tenant);
+    updateMessage(sending, {
+      status: "sent",
+      messageId,
+      sentAt: new Date().toISOString(),
+      lastError: null,
+    });
+    getMessageLogger(sending).info("Queued message sent", { channel: sending.channel, providerMessageId: messageId });
+    messagesSent.inc({ template: getTemplateLabel(sending), channel: sending.channel });
+  } catch (err) {
+    const failure = channel.classifyError(err);
+
+    if (failure.kind === "permanent" || sending.attempts >= MAX_ATTEMPTS) {
+      fallBack(sending, tenant, failure.description);
+      return;
+    }
+
+    // Rate limits pause the channel, other failures only delay this message
+    const delay = failure.kind === "rate_limited"
+      ? Math.max(RATE_LIMIT_PAUSE, getRetryDelay(sending.attempts))
+      : getRetryDelay(sending.attempts);
+    if (failure.kind === "rate_limited") {
+      pausedUntil[sending.channel] = Date.now() + delay;
+      logger.warn("Channel rate limit hit, pausing channel", { channel: sending.channel, pauseSeconds: Math.round(delay / 1000) });
+    }
+
+    updateMessage(sending, {
+      status: "pending",
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      lastError: failure.description,
+    });
+    getMessageLogger(sending).warn("Message failed, retrying", {
+      channel: sending.channel,
+      attempt: sending.attempts,
+      maxAttempts: MAX_ATTEMPTS,
+      retryInSeconds: Math.round(delay / 1000),
+      error: failure.description,
+    });
+  }
+};
+
+// Function to drop sent messages older than the retention window
+const pruneSentMessages = () => {
+  const cutoff = Date.now() - SENT_RETENTION;
+  messages.values()
+    .filter((message) => message.status === "sent" && new Date(message.sentAt).getTime() < cutoff)
+    .forEach((message) => messages.delete(message.id));
+};
+
+// Function to send every message that is due, one at a time
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    const now = Date.now();
+    const due = messages.values()
+      .filter((message) => message.status === "pending" && new Date(message.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const message of due) {
+      // A message may have been paused by a rate limit hit earlier in this run
+      if (isChannelPaused(message.channel)) continue;
+      await deliverMessage(message);
+    }
+
+    pruneSentMessages();
+  } catch (err) {
+    logger.error("Message queue worker error", { error: err.message });
+  } finally {
+    processing = false;
+  }
+};
+
+// Function to send every due message and wait until none is left in flight
+// (short-lived processes like the CLI call this before exiting; retries and held messages stay queued)
+const drainQueue = async () => {
+  const hasDueMessages = () => messages.values().some((message) => message.status === "pending"
+    && new Date(message.nextAttemptAt).getTime() <= Date.now()
+    && !isChannelPaused(message.channel));
+
+  while (processing || hasDueMessages()) {
+    if (processing) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    } else {
+      await processQueue();
+    }
+  }
+};
+
+// Function to start the queue worker
+const startQueueWorker = () => {
+  if (workerInterval) return;
+
+  // Messages left mid-send by a crash or restart are sent again
+  messages.values()
+    .filter((message) => message.status === "sending")
+    .forEach((message) => updateMessage(message, { status: "pending" }));
+
+  // Messages queued before channels existed only carry a WhatsApp payload
+  messages.values()
+    .filter((message) => !message.content)
+    .forEach(({ payload, ...message }) => updateMessage(message, {
+      content: { whatsapp: payload, text: null, subject: null },
+      channels: ["whatsapp"],
+      channel: "whatsapp",
+      fallbacks: [],
+    }));
+
+  workerInterval = setInterval(processQueue, POLL_INTERVAL);
+  workerInterval.unref();
+  setImmediate(processQueue);
+  logger.info("Message queue worker started", { storedMessages: messages.size() });
+};
+
+// Function to stop the queue worker
+const stopQueueWorker = () => {
+  clearInterval(workerInterval);
+  workerInterval = null;
+};
+
+// Function to list dead-lettered messages, newest first
+const getDeadLetters = () => {
+  return messages.values()
+    .filter((message) => message.status === "dead")
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Function to put a dead-lettered message back on the queue
+const replayDeadLetter = (id) => {
+  const message = messages.get(id);
+  if (!message || message.status !== "dead") return null;
+
+  const replayed = updateMessage(message, {
+    status: "pending",
+    channel: message.channels[0],
+    fallbacks: [],
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+  });
+  setImmediate(processQueue);
+  return replayed;
+};
+
+// Function to remove a dead-lettered message for good
+const discardDeadLetter = (id) => {
+  const message = messages.get(id);
+  if (!message || message.status !== "dead") return false;
+  return messages.delete(id);
+};
+
+// Function to count queued messages by status
+const getQueueStats = () => {
+  return messages.values().reduce(
+    (stats, message) => ({ ...stats, [message.status]: (stats[message.status] || 0) + 1 }),
+    { pending: 0, sending: 0, sent: 0, dead: 0 }
+  );
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueueMessage,
+  processQueue,
+  drainQueue,
+  startQueueWorker,
+  stopQueueWorker,
+  getDeadLetters,
+  replayDeadLetter,
+  discardDeadLetter,
+  getQueueStats,
+};
@@ -0,0 +1,113 @@
+// In-process metrics in the Prometheus text exposition format (served on /metrics)
+const METRIC_PREFIX = "order_notifier_";
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+// Function to escape a label value
+const escapeLabel = (value) => String(value ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+// Function to render a label set ({ topic: "orders/create" } -> {topic="orders/create"})
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+};
+
+// Function to key a label set, keeping only the metric's label names in a fixed order
+const labelKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+
+// Function to turn a label key back into a label set
+const keyLabels = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, index) => [labelNames[index], value]));
+
+// Function to register a counter (only goes up)
+const createCounter = (name, help, labelNames = []) => {
+  const values = new Map();
+  const metric = {
+    name: METRIC_PREFIX + name,
+    help,
+    type: "counter",
+    inc: (labels, amount = 1) => {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render: () => Array.from(values.entries())
+      .map(([key, value]) => `${metric.name}${formatLabels(keyLabels(labelNames, key))} ${value}`),
+  };
+  registry.push(metric);
+  return metric;
+};
+
+// Function to register a gauge (a value that is set, e.g. when metrics are scraped)
+const createGauge = (name, help, labelNames = []) => {
+  const values = new Map();
+  const metric = {
+    name: METRIC_PREFIX + name,
+    help,
+    type: "gauge",
+    set: (labels, value) => values.set(labelKey(labelNames, labels), value),
+    render: () => Array.from(values.entries())
+      .map(([key, value]) => `${metric.name}${formatLabels(keyLabels(labelNames, key))} ${value}`),
+  };
+  registry.push(metric);
+  return metric;
+};
+
+// Function to register a histogram (observations counted into cumulative buckets)
+const createHistogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const values = new Map();
+  const metric = {
+    name: METRIC_PREFIX + name,
+    help,
+    type: "histogram",
+    observe: (labels, value) => {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    render: () => Array.from(values.entries()).flatMap(([key, entry]) => {
+      const labels = keyLabels(labelNames, key);
+      return [
+        ...buckets.map((bound, index) => `${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`),
+        `${metric.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${entry.count}`,
+        `${metric.name}_sum${formatLabels(labels)} ${entry.sum}`,
+        `${metric.name}_count${formatLabels(labels)} ${entry.count}`,
+      ];
+    }),
+  };
+  registry.push(metric);
+  return metric;
+};
+
+// Function to render every registered metric
+const renderMetrics = () => {
+  return `${registry
+    .map((metric) => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()].join("\n"))
+    .join("\n")}\n`;
+};
+
+// The app's metrics
+const webhooksReceived = createCounter("webhooks_received_total", "Verified webhook deliveries accepted, by topic", ["topic", "shop"]);
+const hmacFailures = createCounter("webhook_hmac_failures_total", "Webhooks rejected for a missing or invalid HMAC signature", ["source"]);
+const messagesSent = createCounter("messages_sent_total", "Outbound messages sent, by template and channel", ["template", "channel"]);
+const messagesFailed = createCounter("messages_failed_total", "Outbound messages dead-lettered after every channel failed, by template", ["template", "channel"]);
+const graphApiDuration = createHistogram("graph_api_request_duration_seconds", "WhatsApp Graph API request latency", ["outcome"]);
+const queueDepth = createGauge("queue_depth", "Outbound messages in the queue, by status", ["status"]);
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  webhooksReceived,
+  hmacFailures,
+  messagesSent,
+  messagesFailed,
+  graphApiDuration,
+  queueDepth,
+};
@@ -0,0 +1,167 @@
+const { createCollection } = require("./collection");
+
+// Notifications older than this are pruned from the history
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS) || 90;
+const PRUNE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
+
+const history = createCollection("notification-history");
+
+// Graph API message id -> notification id, so status callbacks don't scan the whole history
+const idsByMessageId = new Map(
+  history.values().filter((entry) => entry.messageId).map((entry) => [entry.messageId, entry.id])
+);
+
+// Function to map a queue status onto the status support staff see
+const getHistoryStatus = (message) => {
+  if (message.status === "sent") return "sent";
+  if (message.status === "dead") return "failed";
+  return message.lastError ? "retrying" : "queued";
+};
+
+// Function to list the text parameters of a queued WhatsApp payload
+const getPayloadParameters = (payload) => {
+  if (!payload) return [];
+  if (payload.type === "text") return [payload.text?.body];
+  return (payload.template?.components || []).flatMap((component) =>
+    (component.parameters || []).map((parameter) => parameter.text ?? parameter.payload)
+  );
+};
+
+// Function to record (or update) a notification from its queue message
+const recordNotification = (message) => {
+  const existing = history.get(message.id);
+  const payload = message.content ? message.content.whatsapp : message.payload;
+  if (message.messageId) {
+    idsByMessageId.set(message.messageId, message.id);
+  }
+  return history.set(message.id, {
+    ...existing,
+    id: message.id,
+    tenantId: message.meta.tenantId || null,
+    orderId: message.meta.orderId ?? null,
+    orderName: message.meta.orderName || null,
+    topic: message.meta.topic || null,
+    audience: message.meta.audience || null,
+    correlationId: message.meta.correlationId || null,
+    recipient: message.meta.recipient || payload?.to || null,
+    recipientEmail: message.meta.recipientEmail || null,
+    recipientName: message.meta.recipientName || null,
+    channel: message.channel || "whatsapp",
+    fallbacks: message.fallbacks || [],
+    type: payload?.type || "text",
+    templateName: message.meta.templateName || payload?.template?.name || null,
+    language: payload?.template?.language?.code || null,
+    parameters: getPayloadParameters(payload),
+    text: message.content?.text || null,
+    status: getHistoryStatus(message),
+    attempts: message.attempts,
+    messageId: message.messageId,
+    error: message.lastError,
+    createdAt: message.createdAt,
+    sentAt: message.sentAt,
+    updatedAt: message.updatedAt,
+  });
+};
+
+// Delivery statuses from the WhatsApp status webhook, in the order they progress
+const DELIVERY_STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+// Function to find a notification by Graph API message id
+const findNotificationByMessageId = (messageId) => {
+  const id = idsByMessageId.get(messageId);
+  return id ? history.get(id) : null;
+};
+
+// Function to apply a WhatsApp status update (sent/delivered/read/failed) to a notification
+// Updates can arrive out of order, so a later status is never downgraded
+const applyDeliveryStatus = (messageId, status, timestamp, errors = []) => {
+  const entry = findNotificationByMessageId(messageId);
+  if (!entry) return null;
+
+  const at = timestamp ? new Date(Number(timestamp) * 1000).toISOString() : new Date().toISOString();
+  const current = entry.deliveryStatus;
+  const isFailure = status === "failed";
+  const advances = isFailure
+    || !current
+    || (current !== "failed" && (DELIVERY_STATUS_RANK[status] || 0) > (DELIVERY_STATUS_RANK[current] || 0));
+
+  return history.set(entry.id, {
+    ...entry,
+    deliveryStatus: advances ? status : current,
+    deliveryTimeline: { ...entry.deliveryTimeline, [status]: at },
+    status: isFailure ? "failed" : entry.status,
+    error: isFailure
+      ? errors.map((error) => `${error.code}: ${error.error_data?.details || error.title || error.message}`).join("; ") || "Delivery failed"
+      : entry.error,
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+// Function to get a notification by queue id
+const getNotification = (id) => history.get(id);
+
+// Function to check whether a recipient matches a searched phone (country code optional)
+const matchesPhone = (recipient, phone) => {
+  const digits = String(phone).replace(/\D/g, "");
+  return digits.length >= 6 && String(recipient).endsWith(digits);
+};
+
+// Function to parse a search date; date-only upper bounds include the whole day
+const parseSearchDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.getTime();
+};
+
+// Function to search notifications by order name/id, phone, status, topic, correlation id and
+// date range, newest first
+const searchNotifications = ({ order, phone, status, topic, correlationId, from, to, limit = 100 } = {}) => {
+  const fromTime = parseSearchDate(from);
+  const toTime = parseSearchDate(to, true);
+  const orderRef = order ? String(order).replace(/^#/, "") : null;
+
+  return history
+    .values()
+    .filter((entry) => !orderRef
+      || (entry.orderName || "").replace(/^#/, "") === orderRef
+      || String(entry.orderId) === orderRef)
+    .filter((entry) => !phone || matchesPhone(entry.recipient, phone))
+    .filter((entry) => !status || entry.status === status)
+    .filter((entry) => !topic || entry.topic === topic)
+    .filter((entry) => !correlationId || entry.correlationId === correlationId)
+    .filter((entry) => fromTime === null || new Date(entry.createdAt).getTime() >= fromTime)
+    .filter((entry) => toTime === null || new Date(entry.createdAt).getTime() < toTime)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, Math.min(Number(limit) || 100, 1000));
+};
+
+// Function to drop notifications older than the retention window
+const pruneHistory = () => {
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  history.values()
+    .filter((entry) => new Date(entry.createdAt).getTime() < cutoff)
+    .forEach((entry) => {
+      idsByMessageId.delete(entry.messageId);
+      history.delete(entry.id);
+    });
+};
+
+// Function to start retention pruning (called by startBackgroundJobs)
+const startHistoryPruning = () => {
+  pruneHistory();
+  setInterval(pruneHistory, PRUNE_INTERVAL).unref();
+};
+
+module.exports = {
+  recordNotification,
+  getNotification,
+  findNotificationByMessageId,
+  applyDeliveryStatus,
+  searchNotifications,
+  pruneHistory,
+  startHistoryPruning,
+};
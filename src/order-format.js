@@ -0,0 +1,61 @@
+const { joinWithinLimit } = require("./template-limits");
+
+// Function to format an address on a single line (missing fields are left out)
+const formatAddress = (address) => {
+  if (!address) return "Address not provided";
+
+  const parts = [address.name, address.address1, address.address2, address.city, address.province, address.zip, address.country]
+    .map((part) => (part === undefined || part === null ? "" : String(part).trim()))
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(", ") : "Address not provided";
+};
+
+// Function to format line items as a numbered product list
+// Long lists end with "…and N more items" so they fit in one template parameter
+const formatProductList = (lineItems) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) return "No items";
+
+  return joinWithinLimit(
+    lineItems.map((item, idx) => `${idx + 1}. ${item.name} - ${item.quantity} no${item.quantity > 1 ? "s" : ""}`),
+    ", "
+  );
+};
+
+// Function to format an amount in a currency ("₹1,098.00", "$1,098.00")
+// Indian digit grouping (₹1,00,000.00) is only used for rupees
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(currency === "INR" ? "en-IN" : "en-US", { style: "currency", currency }).format(amount);
+  } catch (err) {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+};
+
+// Function to format an order amount in the order's currency (null when there is no amount)
+const formatOrderAmount = (amount, order) => {
+  if (amount === undefined || amount === null || String(amount).trim() === "" || Number.isNaN(Number(amount))) {
+    return null;
+  }
+  return formatMoney(Number(amount), order?.currency || "INR");
+};
+
+// Function to get the customer's full name
+const getCustomerName = (customer) => {
+  if (!customer) return "";
+  return `${customer.first_name || ""} ${customer.last_name || ""}`.trim();
+};
+
+// Function to check whether an order is cash on delivery
+const isCashOnDelivery = (order) => {
+  const gateways = [order?.gateway, ...(order?.payment_gateway_names || [])].filter(Boolean);
+  return gateways.some((gateway) => /\bcod\b|cash on delivery/i.test(gateway));
+};
+
+module.exports = {
+  formatAddress,
+  formatProductList,
+  formatMoney,
+  formatOrderAmount,
+  getCustomerName,
+  isCashOnDelivery,
+};
@@ -0,0 +1,112 @@
+const { createCollection } = require("./collection");
+const { resolveCustomerPhone } = require("./phone");
+const { DEFAULT_TENANT_ID } = require("./tenants");
+
+// Orders not updated for this long are pruned from the store
+const ORDER_RETENTION_DAYS = Number(process.env.ORDER_RETENTION_DAYS) || 90;
+const PRUNE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
+
+const orders = createCollection("orders");
+
+// Function to save the latest snapshot of an order from an orders/* webhook
+const saveOrder = (order, tenantId = null) => {
+  if (!order?.id) return null;
+  const existing = orders.get(String(order.id));
+  return orders.set(String(order.id), {
+    ...existing,
+    id: order.id,
+    tenantId: tenantId || existing?.tenantId || null,
+    name: order.name || existing?.name || null,
+    phone: resolveCustomerPhone(order).phone || existing?.phone || null,
+    snapshot: order,
+    createdAt: order.created_at || existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+};
+
+// Function to get the latest stored snapshot of an order
+const getOrder = (orderId) => {
+  return orders.get(String(orderId))?.snapshot || null;
+};
+
+// Function to find a stored order record by Shopify order id or order name ("#1001" or "1001")
+const findOrderRecord = (orderRef) => {
+  const ref = String(orderRef).replace(/^#/, "");
+  return orders.get(ref)
+    || orders.values().find((record) => String(record.name || "").replace(/^#/, "") === ref)
+    || null;
+};
+
+// Function to get the fulfillment ids customers have already been told about
+const getAnnouncedFulfillmentIds = (orderId) => {
+  return orders.get(String(orderId))?.announcedFulfillmentIds || [];
+};
+
+// Function to remember that fulfillments have been announced for an order
+const markFulfillmentsAnnounced = (orderId, fulfillmentIds) => {
+  const record = orders.get(String(orderId));
+  if (!record) return null;
+  return orders.set(String(orderId), {
+    ...record,
+    announcedFulfillmentIds: [...new Set([...(record.announcedFulfillmentIds || []), ...fulfillmentIds])],
+  });
+};
+
+// Function to list stored order snapshots matching a predicate, newest first
+const findOrders = (predicate = () => true) => {
+  return orders
+    .values()
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .map((record) => record.snapshot)
+    .filter(predicate);
+};
+
+// Function to list one shop's stored orders created in [from, to), newest first
+const listOrders = ({ tenantId = null, from = null, to = null } = {}) => {
+  return orders
+    .values()
+    .filter((record) => !tenantId || (record.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .filter((record) => !from || new Date(record.createdAt) >= from)
+    .filter((record) => !to || new Date(record.createdAt) < to)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .map((record) => record.snapshot);
+};
+
+// Function to list a customer's stored orders by WhatsApp number, newest first
+// tenantId restricts the search to one shop
+const findOrdersByPhone = (phone, tenantId = null, limit = 3) => {
+  return orders
+    .values()
+    .filter((record) => record.phone && record.phone === String(phone).replace(/^\+/, ""))
+    .filter((record) => !tenantId || (record.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, limit)
+    .map((record) => record.snapshot);
+};
+
+// Function to drop orders older than the retention window
+const pruneOrders = () => {
+  const cutoff = Date.now() - ORDER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  orders.values()
+    .filter((record) => new Date(record.updatedAt).getTime() < cutoff)
+    .forEach((record) => orders.delete(String(record.id)));
+};
+
+// Function to start retention pruning (called by startBackgroundJobs)
+const startOrderPruning = () => {
+  pruneOrders();
+  setInterval(pruneOrders, PRUNE_INTERVAL).unref();
+};
+
+module.exports = {
+  saveOrder,
+  getOrder,
+  findOrderRecord,
+  getAnnouncedFulfillmentIds,
+  markFulfillmentsAnnounced,
+  findOrders,
+  listOrders,
+  findOrdersByPhone,
+  pruneOrders,
+  startOrderPruning,
+};
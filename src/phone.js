@@ -0,0 +1,125 @@
+const { parsePhoneNumberFromString } = require("libphonenumber-js/max");
+const { createCollection } = require("./collection");
+const { logger } = require("./logger");
+
+// Region assumed for numbers without a country code when the order has no address country
+const DEFAULT_PHONE_REGION = (process.env.DEFAULT_PHONE_REGION || "IN").toUpperCase();
+
+// Number types WhatsApp can deliver to (some countries can't tell mobile and fixed line apart)
+const ACCEPTED_NUMBER_TYPES = ["MOBILE", "FIXED_LINE_OR_MOBILE"];
+
+const rejectedPhones = createCollection("rejected-phones");
+
+// Function to normalise a raw phone number to E.164 digits (no "+", as the Graph API expects)
+// Returns { phone } on success or { phone: null, reason } when the number is rejected
+const normalizePhone = (rawPhone, defaultRegion = DEFAULT_PHONE_REGION) => {
+  if (!rawPhone || String(rawPhone).trim() === "") {
+    return { phone: null, reason: "empty" };
+  }
+
+  const region = (defaultRegion || DEFAULT_PHONE_REGION).toUpperCase();
+  let parsed = parsePhoneNumberFromString(String(rawPhone), region);
+
+  // Numbers stored with a country code but without "+" (e.g. "919876543210")
+  if (!parsed?.isValid() && /^\d{11,15}$/.test(String(rawPhone).replace(/[\s\-()]/g, ""))) {
+    parsed = parsePhoneNumberFromString(`+${String(rawPhone).replace(/[\s\-()]/g, "")}`) || parsed;
+  }
+
+  if (!parsed) {
+    return { phone: null, reason: "not a phone number" };
+  }
+  if (!parsed.isPossible()) {
+    return { phone: null, reason: `wrong length for ${parsed.country || region}` };
+  }
+  if (!parsed.isValid()) {
+    return { phone: null, reason: `not a valid ${parsed.country || region} number` };
+  }
+
+  const type = parsed.getType();
+  if (type && !ACCEPTED_NUMBER_TYPES.includes(type)) {
+    return { phone: null, reason: `${type.toLowerCase().replace(/_/g, " ")} number cannot receive WhatsApp` };
+  }
+
+  return { phone: parsed.number.replace(/^\+/, ""), country: parsed.country || null };
+};
+
+// Function to get the order's address country, used as the default region
+const getOrderRegion = (order) => {
+  return order?.shipping_address?.country_code
+    || order?.billing_address?.country_code
+    || order?.customer?.default_address?.country_code
+    || DEFAULT_PHONE_REGION;
+};
+
+// Function to list an order's phone numbers in the order they should be tried
+const getPhoneCandidates = (order) => {
+  return [
+    ["customer.phone", order?.customer?.phone],
+    ["shipping_address.phone", order?.shipping_address?.phone],
+    ["billing_address.phone", order?.billing_address?.phone],
+    ["order.phone", order?.phone],
+    ["customer.default_address.phone", order?.customer?.default_address?.phone],
+  ].filter(([, phone]) => phone && String(phone).trim() !== "");
+};
+
+// Function to record an order whose phone numbers were all rejected
+const recordRejectedPhone = (order, rejections) => {
+  const key = String(order?.id ?? order?.name ?? rejections.map((rejection) => rejection.phone).join(","));
+  return rejectedPhones.set(key, {
+    orderId: order?.id ?? null,
+    orderName: order?.name || null,
+    region: getOrderRegion(order),
+    rejections,
+    recordedAt: new Date().toISOString(),
+  });
+};
+
+// Function to find the order's first valid phone number without logging anything
+// Returns { phone, rejections } where rejections lists the candidates that failed
+const resolveCustomerPhone = (order) => {
+  if (!order) return { phone: null, rejections: [] };
+
+  const region = getOrderRegion(order);
+  const rejections = [];
+
+  for (const [source, rawPhone] of getPhoneCandidates(order)) {
+    const { phone, reason } = normalizePhone(rawPhone, region);
+    if (phone) return { phone, rejections };
+    rejections.push({ source, phone: String(rawPhone), reason });
+  }
+  return { phone: null, rejections };
+};
+
+// Utility function to get customer phone
+// Tries every phone field on the order and returns the first valid number
+const getCustomerPhone = (order) => {
+  if (!order) return null;
+
+  const { phone, rejections } = resolveCustomerPhone(order);
+  if (phone) return phone;
+
+  if (rejections.length > 0) {
+    logger.warn("No valid phone number for order", {
+      orderName: order.name,
+      orderId: order.id,
+      reasons: rejections.map((rejection) => `${rejection.source || "unknown"}: ${rejection.reason}`),
+    });
+    recordRejectedPhone(order, rejections);
+  } else if (order.id) {
+    recordRejectedPhone(order, [{ source: null, phone: null, reason: "no phone number on order" }]);
+  }
+  return null;
+};
+
+// Function to list recorded phone rejections, newest first
+const getRejectedPhones = () => {
+  return rejectedPhones.values().sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+};
+
+module.exports = {
+  DEFAULT_PHONE_REGION,
+  normalizePhone,
+  resolveCustomerPhone,
+  getCustomerPhone,
+  getRejectedPhones,
+};
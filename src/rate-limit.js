@@ -0,0 +1,43 @@
+const { logger } = require("./logger");
+// Fixed-window request counters per client IP, kept in memory (a restart resets them)
+
+// Function to create a rate limiting middleware allowing `max` requests per IP per window
+// skipSuccessfulRequests: only requests answered with an error status count, so traffic that
+// passes verification (signed webhooks, all arriving from a proxy's IP) never fills the window
+const createRateLimiter = ({ name, max, windowMs = 60 * 1000, skipSuccessfulRequests = false }) => {
+  let windowStart = Date.now();
+  let counts = new Map();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    if (now - windowStart >= windowMs) {
+      windowStart = now;
+      counts = new Map();
+    }
+
+    const record = () => {
+      const count = (counts.get(req.ip) || 0) + 1;
+      counts.set(req.ip, count);
+      return count;
+    };
+
+    if ((counts.get(req.ip) || 0) < max) {
+      if (!skipSuccessfulRequests) {
+        record();
+      } else {
+        res.on("finish", () => {
+          if (res.statusCode >= 400) record();
+        });
+      }
+      return next();
+    }
+
+    if (record() === max + 1) {
+      logger.warn(`${name} rate limit reached`, { ip: req.ip, max, windowSeconds: windowMs / 1000 });
+    }
+    res.set("Retry-After", String(Math.ceil((windowStart + windowMs - now) / 1000)));
+    return res.status(429).send("Too Many Requests");
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,49 @@
+const axios = require("axios");
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || "2024-10";
+
+// Function to check whether a tenant has Admin API credentials configured
+const isShopifyAdminConfigured = (tenant) => {
+  return Boolean(tenant?.shopDomain && tenant?.shopifyAdminToken);
+};
+
+// Function to call a tenant's Shopify Admin REST API
+const shopifyRequest = async (tenant, method, resourcePath, data) => {
+  if (!isShopifyAdminConfigured(tenant)) {
+    throw new Error(`Shopify shop domain and Admin API token must be set for ${tenant?.name || "this shop"} to update orders`);
+  }
+
+  const response = await axios({
+    method,
+    url: `https://${tenant.shopDomain}/admin/api/${SHOPIFY_API_VERSION}${resourcePath}`,
+    data,
+    headers: {
+      "X-Shopify-Access-Token": tenant.shopifyAdminToken,
+      "Content-Type": "application/json",
+    },
+    timeout: 15000,
+  });
+  return response.data;
+};
+
+// Function to add tags to an order and append a line to its note
+const tagOrder = async (tenant, orderId, tags, note) => {
+  const { order } = await shopifyRequest(tenant, "get", `/orders/${orderId}.json?fields=id,tags,note`);
+  const existingTags = (order.tags || "").split(",").map((tag) => tag.trim()).filter(Boolean);
+  const updatedTags = [...new Set([...existingTags, ...tags])];
+
+  return shopifyRequest(tenant, "put", `/orders/${orderId}.json`, {
+    order: {
+      id: orderId,
+      tags: updatedTags.join(", "),
+      ...(note ? { note: order.note ? `${order.note}\n${note}` : note } : {}),
+    },
+  });
+};
+
+// Function to cancel an order (reason is one of Shopify's cancel reasons, e.g. "customer")
+const cancelOrder = async (tenant, orderId, reason = "customer") => {
+  return shopifyRequest(tenant, "post", `/orders/${orderId}/cancel.json`, { reason, email: false });
+};
+
+module.exports = { isShopifyAdminConfigured, tagOrder, cancelOrder };
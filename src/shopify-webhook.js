@@ -0,0 +1,65 @@
+const crypto = require("crypto");
+const { safeEqual } = require("./admin-auth");
+const { logger } = require("./logger");
+const { hmacFailures } = require("./metrics");
+
+// Deliveries triggered longer ago than this are treated as replays. Shopify retries a failed
+// delivery for about 4 hours, and anything newer is caught by the webhook id dedupe
+const WEBHOOK_MAX_AGE_MINUTES = Number(process.env.WEBHOOK_MAX_AGE_MINUTES) || 6 * 60;
+const WEBHOOK_CLOCK_SKEW = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// Function to get how old a delivery is from X-Shopify-Triggered-At (null when missing or unreadable)
+const getWebhookAge = (triggeredAt, now = Date.now()) => {
+  const triggeredTime = triggeredAt ? new Date(triggeredAt).getTime() : NaN;
+  return Number.isNaN(triggeredTime) ? null : now - triggeredTime;
+};
+
+// HMAC Verification Middleware (uses the secrets of the shop resolved by resolveTenant)
+// Any of the shop's secrets is accepted, so a new secret can be added before the old one is removed
+function verifyShopifyWebhook(req, res, next) {
+  const secrets = req.tenant?.shopifyWebhookSecrets || [];
+  const hmacHeader = req.get("X-Shopify-Hmac-Sha256");
+
+  if (secrets.length === 0) {
+    logger.error("No Shopify webhook secret set, rejecting webhook", { shop: req.tenant?.name });
+    return res.status(503).send("Shopify webhook not configured");
+  }
+  if (!req.rawBody) {
+    logger.warn("Shopify webhook without a JSON body", { path: req.path });
+    return res.status(400).send("Bad Request - JSON body required");
+  }
+  if (!hmacHeader) {
+    logger.warn("Shopify webhook HMAC header missing", { path: req.path, shop: req.tenant.name });
+    hmacFailures.inc({ source: "shopify" });
+    return res.status(401).send("Unauthorized - HMAC missing");
+  }
+
+  const valid = secrets.some((secret) =>
+    safeEqual(hmacHeader, crypto.createHmac("sha256", secret).update(req.rawBody).digest("base64"))
+  );
+  if (!valid) {
+    logger.warn("Shopify webhook HMAC validation failed", { path: req.path, shop: req.tenant.name });
+    hmacFailures.inc({ source: "shopify" });
+    return res.status(401).send("Unauthorized - HMAC validation failed");
+  }
+
+  const triggeredAt = req.get("X-Shopify-Triggered-At");
+  const age = getWebhookAge(triggeredAt);
+  if (age === null) {
+    logger.warn("Shopify webhook rejected: missing or invalid X-Shopify-Triggered-At", { path: req.path, triggeredAt: triggeredAt || null });
+    return res.status(400).send("Bad Request - X-Shopify-Triggered-At required");
+  }
+  if (age > WEBHOOK_MAX_AGE_MINUTES * 60 * 1000 || age < -WEBHOOK_CLOCK_SKEW) {
+    logger.warn("Stale Shopify webhook rejected", { path: req.path, triggeredAt });
+    return res.status(401).send("Unauthorized - stale webhook");
+  }
+
+  logger.debug("Shopify webhook HMAC validation passed", { path: req.path });
+  return next();
+}
+
+module.exports = {
+  WEBHOOK_MAX_AGE_MINUTES,
+  getWebhookAge,
+  verifyShopifyWebhook,
+};
@@ -0,0 +1,50 @@
+// WhatsApp template parameter rules: a single parameter with a newline, a tab, more than four
+// consecutive spaces or too many characters makes the Graph API reject the whole message
+
+const HEADER_PARAMETER_MAX_LENGTH = 60;
+const BODY_PARAMETER_MAX_LENGTH = Number(process.env.TEMPLATE_PARAMETER_MAX_LENGTH) || 300;
+const TEMPLATE_BODY_MAX_LENGTH = 1024; // whole body, fixed text included
+const ELLIPSIS = "…";
+
+// Function to cut text to maxLength characters, ending with "…" when it was longer
+const truncateText = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, Math.max(maxLength - 1, 0)).trimEnd()}${ELLIPSIS}`;
+};
+
+// Function to make a value safe for a template parameter
+// Line breaks become ", ", other whitespace runs (tabs, repeated spaces) become one space
+const sanitizeParameter = (value, maxLength = BODY_PARAMETER_MAX_LENGTH) => {
+  const text = String(value ?? "")
+    .replace(/[ \t]*,?[ \t]*(\r\n|\r|\n)+\s*/g, ", ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,]+|[\s,]+$/g, "");
+  return truncateText(text, maxLength);
+};
+
+// Function to join list entries within maxLength, ending with "…and N more items" when they don't
+// all fit (noun names the entries, e.g. "package")
+const joinWithinLimit = (entries, separator, maxLength = BODY_PARAMETER_MAX_LENGTH, noun = "item") => {
+  const joined = entries.join(separator);
+  if (joined.length <= maxLength) return joined;
+
+  const describeRest = (count) => `${ELLIPSIS}and ${count} more ${noun}${count === 1 ? "" : "s"}`;
+  for (let shown = entries.length - 1; shown > 0; shown--) {
+    const text = `${entries.slice(0, shown).join(separator)}${separator}${describeRest(entries.length - shown)}`;
+    if (text.length <= maxLength) return text;
+  }
+
+  // Not even the first entry fits whole, so it is cut short
+  if (entries.length === 1) return truncateText(entries[0], maxLength);
+  const rest = `${separator}${describeRest(entries.length - 1)}`;
+  return `${truncateText(entries[0], maxLength - rest.length)}${rest}`;
+};
+
+module.exports = {
+  HEADER_PARAMETER_MAX_LENGTH,
+  BODY_PARAMETER_MAX_LENGTH,
+  TEMPLATE_BODY_MAX_LENGTH,
+  truncateText,
+  sanitizeParameter,
+  joinWithinLimit,
+};
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const { resolveCustomerLanguage } = require("./languages");
+const {
+  HEADER_PARAMETER_MAX_LENGTH,
+  BODY_PARAMETER_MAX_LENGTH,
+  TEMPLATE_BODY_MAX_LENGTH,
+  sanitizeParameter,
+} = require("./template-limits");
+
+const TEMPLATE_CONFIG_PATH = process.env.TEMPLATE_CONFIG_PATH
+  || path.join(__dirname, "..", "config", "templates.json");
+
+const AUDIENCES = ["customer", "admin"];
+const CATEGORIES = ["transactional", "promotional"];
+const BUTTON_SUB_TYPES = ["url", "quick_reply"];
+const PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+const LITERAL_PATTERN = /^'([^']*)'$|^"([^"]*)"$/;
+
+// Thrown when the template configuration file is missing or invalid
+class TemplateConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message);
+    this.name = "TemplateConfigError";
+    this.problems = problems;
+  }
+}
+
+// Thrown when a rendered template would break WhatsApp's limits
+// (text carries the plain-text version, so callers can send that instead)
+class TemplateRenderError extends Error {
+  constructor(message, text = null) {
+    super(message);
+    this.name = "TemplateRenderError";
+    this.text = text;
+  }
+}
+
+// Function to split a parameter expression into its "||" fallback terms
+const parseExpression = (expression) => {
+  return String(expression).split("||").map((term) => term.trim());
+};
+
+// Function to check a single expression term (quoted literal or dotted path)
+const isValidTerm = (term) => LITERAL_PATTERN.test(term) || PATH_PATTERN.test(term);
+
+// Function to resolve a dotted path against the render context
+const resolvePath = (context, dottedPath) => {
+  return dottedPath.split(".").reduce((value, key) => (value == null ? undefined : value[key]), context);
+};
+
+// Function to evaluate an expression: the first term with a non-empty value wins
+const evaluateExpression = (expression, context) => {
+  for (const term of parseExpression(expression)) {
+    const literal = term.match(LITERAL_PATTERN);
+    const value = literal ? literal[1] ?? literal[2] : resolvePath(context, term);
+    if (value !== undefined && value !== null && String(value).trim() !== "") {
+      return String(value);
+    }
+  }
+  return "N/A";
+};
+
+// Function to validate a list of parameter expressions
+const validateExpressions = (expressions, where, problems) => {
+  if (!Array.isArray(expressions)) {
+    problems.push(`${where} must be an array of expressions`);
+    return;
+  }
+  expressions.forEach((expression, index) => {
+    if (typeof expression !== "string" || !parseExpression(expression).every(isValidTerm)) {
+      problems.push(`${where}[${index}] is not a valid expression: ${JSON.stringify(expression)}`);
+    }
+  });
+};
+
+// Function to validate one topic/audience template definition
+const validateTemplateDefinition = (definition, where, problems) => {
+  if (!definition || typeof definition !== "object") {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+  if (typeof definition.template !== "string" || definition.template.trim() === "") {
+    problems.push(`${where}.template must be a non-empty string`);
+  }
+  if (definition.language !== undefined && typeof definition.language !== "string") {
+    problems.push(`${where}.language must be a string`);
+  }
+  if (definition.category !== undefined && !CATEGORIES.includes(definition.category)) {
+    problems.push(`${where}.category must be one of ${CATEGORIES.join(", ")}`);
+  }
+  if (definition.languages !== undefined
+    && (!Array.isArray(definition.languages) || !definition.languages.every((code) => typeof code === "string"))) {
+    problems.push(`${where}.languages must be an array of approved language codes`);
+  }
+  validateExpressions(definition.body || [], `${where}.body`, problems);
+  ["text", "subject"].forEach((field) => {
+    if (definition[field] !== undefined && (typeof definition[field] !== "string" || definition[field].trim() === "")) {
+      problems.push(`${where}.${field} must be a non-empty string`);
+    }
+  });
+  if (definition.header !== undefined) {
+    validateExpressions(definition.header, `${where}.header`, problems);
+  }
+  if (definition.buttons !== undefined) {
+    if (!Array.isArray(definition.buttons)) {
+      problems.push(`${where}.buttons must be an array`);
+      return;
+    }
+    definition.buttons.forEach((button, index) => {
+      const buttonWhere = `${where}.buttons[${index}]`;
+      if (!BUTTON_SUB_TYPES.includes(button?.subType)) {
+        problems.push(`${buttonWhere}.subType must be one of ${BUTTON_SUB_TYPES.join(", ")}`);
+      }
+      if (!Number.isInteger(button?.index) || button.index < 0) {
+        problems.push(`${buttonWhere}.index must be a non-negative integer`);
+      }
+      validateExpressions(button?.parameters || [], `${buttonWhere}.parameters`, problems);
+    });
+  }
+};
+
+// Function to validate the whole template configuration, throwing on problems
+const validateTemplateConfig = (config, configPath = TEMPLATE_CONFIG_PATH) => {
+  const problems = [];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new TemplateConfigError("Template configuration must be an object keyed by webhook topic");
+  }
+
+  Object.entries(config).forEach(([topic, audiences]) => {
+    if (!audiences || typeof audiences !== "object") {
+      problems.push(`${topic} must be an object keyed by audience`);
+      return;
+    }
+    Object.entries(audiences).forEach(([audience, definition]) => {
+      if (!AUDIENCES.includes(audience)) {
+        problems.push(`${topic}.${audience} is not a known audience (${AUDIENCES.join(", ")})`);
+        return;
+      }
+      validateTemplateDefinition(definition, `${topic}.${audience}`, problems);
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new TemplateConfigError(`Invalid template configuration in ${configPath}`, problems);
+  }
+  return config;
+};
+
+// Function to load and validate the template configuration file
+const loadTemplateConfig = (configPath = TEMPLATE_CONFIG_PATH) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new TemplateConfigError(`Unable to read template configuration ${configPath}: ${err.message}`);
+  }
+  return validateTemplateConfig(config, configPath);
+};
+
+// Loaded configurations by file path (tenants may use their own template file)
+const templateConfigs = new Map();
+
+// Function to get a template configuration (loaded on first use)
+const getTemplateConfig = (configPath = TEMPLATE_CONFIG_PATH) => {
+  const resolvedPath = configPath || TEMPLATE_CONFIG_PATH;
+  if (!templateConfigs.has(resolvedPath)) {
+    templateConfigs.set(resolvedPath, loadTemplateConfig(resolvedPath));
+  }
+  return templateConfigs.get(resolvedPath);
+};
+
+// Function to get the template definition for a topic and audience (null if none configured)
+const getTemplateDefinition = (topic, audience, tenant = null) => {
+  return getTemplateConfig(tenant?.templateConfigPath)[topic]?.[audience] || null;
+};
+
+// Function to pick the template language: customers get their preferred approved
+// translation, admins always get the configured language
+const getTemplateLanguage = (definition, audience, context) => {
+  if (audience !== "customer") {
+    return definition.language || "en";
+  }
+  return resolveCustomerLanguage(
+    context.order,
+    definition.languages || [definition.language],
+    definition.language
+  );
+};
+
+// Function to fill {{1}}, {{2}}, ... placeholders with the rendered body parameters
+const fillPlaceholders = (text, values) => {
+  return text.replace(/\{\{(\d+)\}\}/g, (placeholder, index) => values[Number(index) - 1] ?? placeholder);
+};
+
+// Function to render a template definition into Graph API components
+// (plus its plain-text version for SMS, email and Slack when the definition has "text")
+// The template file comes from context.tenant (the default file when there is none)
+// Text parameters are made to follow WhatsApp's rules (see template-limits); a body that is
+// still too long throws a TemplateRenderError
+const renderTemplate = (topic, audience, context) => {
+  const definition = getTemplateDefinition(topic, audience, context.tenant);
+  if (!definition) return null;
+
+  const toTextParameters = (expressions, maxLength = BODY_PARAMETER_MAX_LENGTH) =>
+    expressions.map((expression) => ({
+      type: "text",
+      text: sanitizeParameter(evaluateExpression(expression, context), maxLength) || "N/A",
+    }));
+
+  const bodyParameters = toTextParameters(definition.body || []);
+  const bodyValues = bodyParameters.map((parameter) => parameter.text);
+
+  const components = [];
+  if (definition.header && definition.header.length > 0) {
+    components.push({ type: "header", parameters: toTextParameters(definition.header, HEADER_PARAMETER_MAX_LENGTH) });
+  }
+  components.push({ type: "body", parameters: bodyParameters });
+  (definition.buttons || []).forEach((button) => {
+    components.push({
+      type: "button",
+      sub_type: button.subType,
+      index: String(button.index),
+      parameters: button.subType === "quick_reply"
+        ? button.parameters.map((expression) => ({ type: "payload", payload: evaluateExpression(expression, context) }))
+        : toTextParameters(button.parameters),
+    });
+  });
+
+  // The fixed template text counts too; without a local copy only the parameters can be measured
+  const text = definition.text ? fillPlaceholders(definition.text, bodyValues) : null;
+  const bodyLength = text ? text.length : bodyValues.join(" ").length;
+  if (bodyLength > TEMPLATE_BODY_MAX_LENGTH) {
+    throw new TemplateRenderError(
+      `Template ${definition.template} body is ${bodyLength} characters, WhatsApp allows ${TEMPLATE_BODY_MAX_LENGTH}`,
+      text
+    );
+  }
+
+  return {
+    name: definition.template,
+    language: getTemplateLanguage(definition, audience, context),
+    category: definition.category || "transactional",
+    components,
+    text,
+    subject: definition.subject ? fillPlaceholders(definition.subject, bodyValues) : null,
+  };
+};
+
+module.exports = {
+  TEMPLATE_CONFIG_PATH,
+  TemplateConfigError,
+  TemplateRenderError,
+  evaluateExpression,
+  validateTemplateConfig,
+  loadTemplateConfig,
+  getTemplateConfig,
+  getTemplateDefinition,
+  renderTemplate,
+};
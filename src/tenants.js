@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+// Optional multi-store configuration; without it a single tenant is built from env vars
+const TENANTS_CONFIG_PATH = process.env.TENANTS_CONFIG_PATH
+  || path.join(__dirname, "..", "config", "tenants.json");
+
+const DEFAULT_TENANT_ID = "default";
+
+let tenants = null;
+
+// Function to resolve "env:NAME" references so secrets stay out of the config file
+const resolveSecret = (value) => {
+  if (typeof value === "string" && value.startsWith("env:")) {
+    return process.env[value.slice("env:".length)] || null;
+  }
+  return value || null;
+};
+
+// Function to resolve a list of secrets, given as an array or a comma-separated string
+// (several webhook secrets can be active while one is being rotated)
+const resolveSecretList = (value) => {
+  const entries = Array.isArray(value) ? value : [value];
+  return entries
+    .flatMap((entry) => String(resolveSecret(entry) || "").split(","))
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+};
+
+// Function to build the single tenant used when no tenants file exists
+const buildEnvTenant = () => ({
+  id: DEFAULT_TENANT_ID,
+  name: "Default",
+  shopDomain: process.env.SHOPIFY_SHOP_DOMAIN || null,
+  shopifyWebhookSecrets: resolveSecretList(process.env.SHOPIFY_WEBHOOK_SECRET),
+  shopifyAdminToken: process.env.SHOPIFY_ADMIN_TOKEN || null,
+  whatsappPhoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || null,
+  whatsappToken: process.env.WHATSAPP_TOKEN || null,
+  whatsappAppSecret: process.env.WHATSAPP_APP_SECRET || null,
+  templateConfigPath: null,
+  admins: null, // null means the shared roster in config/admins.json
+  roles: null,
+});
+
+// Function to build a tenant from its tenants.json entry (keyed by myshopify domain)
+const buildConfiguredTenant = (shopDomain, entry) => ({
+  id: shopDomain,
+  name: entry.name || shopDomain,
+  shopDomain,
+  shopifyWebhookSecrets: resolveSecretList(entry.shopifyWebhookSecret),
+  shopifyAdminToken: resolveSecret(entry.shopifyAdminToken),
+  whatsappPhoneNumberId: resolveSecret(entry.whatsappPhoneNumberId),
+  whatsappToken: resolveSecret(entry.whatsappToken),
+  whatsappAppSecret: resolveSecret(entry.whatsappAppSecret) || process.env.WHATSAPP_APP_SECRET || null,
+  templateConfigPath: entry.templateConfigPath
+    ? path.resolve(path.dirname(TENANTS_CONFIG_PATH), entry.templateConfigPath)
+    : null,
+  // Never the shared roster in config/admins.json: that would send one shop's orders to another shop's team
+  admins: Array.isArray(entry.admins) ? entry.admins : [],
+  roles: entry.roles || null,
+});
+
+// Function to load tenants (from tenants.json if present, otherwise the env tenant)
+const loadTenants = () => {
+  if (!fs.existsSync(TENANTS_CONFIG_PATH)) {
+    return { multiTenant: false, byId: new Map([[DEFAULT_TENANT_ID, buildEnvTenant()]]) };
+  }
+
+  const config = JSON.parse(fs.readFileSync(TENANTS_CONFIG_PATH, "utf8"));
+  const byId = new Map(
+    Object.entries(config).map(([shopDomain, entry]) => [shopDomain.toLowerCase(), buildConfiguredTenant(shopDomain.toLowerCase(), entry)])
+  );
+  return { multiTenant: true, byId };
+};
+
+// Function to get the loaded tenants (loaded on first use)
+const getTenants = () => {
+  if (!tenants) {
+    tenants = loadTenants();
+  }
+  return tenants;
+};
+
+// Function to check whether tenants come from tenants.json (several shops)
+const isMultiTenant = () => getTenants().multiTenant;
+
+// Function to list every tenant
+const listTenants = () => Array.from(getTenants().byId.values());
+
+// Function to get a tenant by id (falls back to the only tenant in single-store mode)
+const getTenantById = (tenantId) => {
+  const { multiTenant, byId } = getTenants();
+  if (!multiTenant) return byId.get(DEFAULT_TENANT_ID);
+  return byId.get(String(tenantId || "").toLowerCase()) || null;
+};
+
+// Function to pick the tenant for a Shopify webhook from X-Shopify-Shop-Domain
+const getTenantForShop = (shopDomain) => getTenantById(shopDomain);
+
+// Function to find the tenant that owns a WhatsApp phone number id (for inbound webhooks)
+const getTenantForPhoneNumberId = (phoneNumberId) => {
+  const { multiTenant } = getTenants();
+  if (!multiTenant) return getTenantById(DEFAULT_TENANT_ID);
+  return listTenants().find((tenant) => tenant.whatsappPhoneNumberId === String(phoneNumberId)) || null;
+};
+
+// Tenant Resolution Middleware (X-Shopify-Shop-Domain selects the shop's secrets and settings)
+function resolveTenant(req, res, next) {
+  const shopDomain = req.get("X-Shopify-Shop-Domain");
+  const tenant = getTenantForShop(shopDomain);
+
+  if (!tenant) {
+    logger.warn("Webhook from unknown shop", { shopDomain: shopDomain || null });
+    return res.status(401).send("Unauthorized - unknown shop");
+  }
+
+  req.tenant = tenant;
+  return next();
+}
+
+module.exports = {
+  TENANTS_CONFIG_PATH,
+  DEFAULT_TENANT_ID,
+  isMultiTenant,
+  listTenants,
+  getTenantById,
+  getTenantForShop,
+  getTenantForPhoneNumberId,
+  resolveTenant,
+};
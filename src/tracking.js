@@ -0,0 +1,114 @@
+const { NO_CARRIER, resolveCarrier } = require("./carriers");
+const { logger } = require("./logger");
+const { BODY_PARAMETER_MAX_LENGTH, joinWithinLimit } = require("./template-limits");
+
+// Fulfillment statuses that never shipped anything
+const INACTIVE_FULFILLMENT_STATUSES = ["cancelled", "error", "failure"];
+
+// Function to collect every tracking number on a fulfillment (deduplicated)
+const getTrackingNumbers = (fulfillment) => {
+  const numbers = [
+    ...(fulfillment.tracking_numbers || []),
+    fulfillment.tracking_number,
+  ].filter(Boolean);
+  return [...new Set(numbers)];
+};
+
+// Function to collect every tracking URL on a fulfillment (deduplicated)
+const getTrackingUrls = (fulfillment) => {
+  const urls = [
+    ...(fulfillment.tracking_urls || []),
+    fulfillment.tracking_url,
+  ].filter(Boolean);
+  return [...new Set(urls)];
+};
+
+// Function to describe a single fulfillment as a shipment
+// The carrier name is normalised and missing tracking URLs are built from the registry
+const toShipment = (fulfillment, index) => {
+  const trackingNumbers = getTrackingNumbers(fulfillment);
+  const shopifyUrls = getTrackingUrls(fulfillment);
+  const { carrier, trackingUrls } = resolveCarrier(fulfillment.tracking_company, trackingNumbers);
+
+  return {
+    id: fulfillment.id ?? null,
+    name: fulfillment.name || `Package ${index + 1}`,
+    status: fulfillment.status || null,
+    shipmentStatus: fulfillment.shipment_status || null,
+    createdAt: fulfillment.created_at || null,
+    carrier,
+    trackingNumbers,
+    trackingUrls: shopifyUrls.length > 0 ? shopifyUrls : trackingUrls,
+    items: (fulfillment.line_items || []).map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+    })),
+  };
+};
+
+// Function to summarise shipments into the single-value fields used by templates
+const summarizeShipments = (shipments) => {
+  const trackingNumbers = shipments.flatMap((shipment) => shipment.trackingNumbers);
+  const trackingUrls = shipments.flatMap((shipment) => shipment.trackingUrls);
+  const carriers = [...new Set(shipments.map((shipment) => shipment.carrier))]
+    .filter((carrier) => carrier !== NO_CARRIER);
+
+  return {
+    trackingNumber: trackingNumbers.length > 0 ? trackingNumbers.join(", ") : "Not Available",
+    trackingLink: trackingUrls.length > 0 ? trackingUrls.join(", ") : "No link",
+    trackingCompany: carriers.length > 0 ? carriers.join(", ") : NO_CARRIER,
+  };
+};
+
+// Function to extract tracking information from Shopify order
+// Returns every active shipment plus single-value summaries for templates
+const extractTrackingInfo = (order) => {
+  const fulfillments = Array.isArray(order.fulfillments) ? order.fulfillments : [];
+
+  const shipments = fulfillments
+    .filter((fulfillment) => !INACTIVE_FULFILLMENT_STATUSES.includes(fulfillment.status))
+    .map((fulfillment, index) => toShipment(fulfillment, index));
+  const summary = summarizeShipments(shipments);
+
+  // Check for tracking in line items (some apps store tracking there)
+  if (summary.trackingNumber === "Not Available" && Array.isArray(order.line_items)) {
+    const itemTracking = order.line_items.find((item) => item.fulfillment?.tracking_number);
+    if (itemTracking) {
+      summary.trackingNumber = itemTracking.fulfillment.tracking_number;
+    }
+  }
+
+  logger.debug("Tracking info extracted", {
+    orderName: order.name,
+    fulfillments: fulfillments.length,
+    shipments: shipments.length,
+    carrier: summary.trackingCompany,
+    trackingNumber: summary.trackingNumber,
+  });
+
+  return { ...summary, shipments };
+};
+
+// Function to describe what shipped in which package, e.g.
+// "Package 1 (Delhivery, DL123): 1. Ashwagandha - 2 nos; Package 2 (...): ..."
+// (orders with many packages end with "…and N more packages")
+const formatShipments = (shipments) => {
+  if (shipments.length === 0) return "No items";
+
+  const packages = shipments
+    .map((shipment, idx) => {
+      const trackingDetails = [shipment.carrier, ...shipment.trackingNumbers]
+        .filter((detail) => detail && detail !== NO_CARRIER)
+        .join(", ");
+      const items = shipment.items.length > 0
+        ? shipment.items
+            .map((item, itemIdx) => `${itemIdx + 1}. ${item.name} - ${item.quantity} no${item.quantity > 1 ? "s" : ""}`)
+            .join(", ")
+        : "Items not listed";
+      const label = shipments.length > 1 ? `Package ${idx + 1}` : "Package";
+      return `${label}${trackingDetails ? ` (${trackingDetails})` : ""}: ${items}`;
+    });
+  return joinWithinLimit(packages, "; ", BODY_PARAMETER_MAX_LENGTH, "package");
+};
+
+module.exports = { extractTrackingInfo, summarizeShipments, formatShipments };
@@ -0,0 +1,109 @@
+const {
+  getDelivery,
+  findDeliveries,
+  updateDelivery,
+  completeDelivery,
+} = require("./deliveries");
+const { logger } = require("./logger");
+
+// Thrown by handlers for payloads that can never be processed (these are not retried)
+class WebhookPayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookPayloadError";
+  }
+}
+
+// Topic handlers and the error reporter are registered by the app
+const handlers = new Map();
+let errorReporter = null;
+
+// Function to register the handler for a webhook topic
+const registerWebhookHandler = (topic, handler) => {
+  handlers.set(topic, handler);
+};
+
+// Function to set the callback notified when processing fails
+const setWebhookErrorReporter = (reporter) => {
+  errorReporter = reporter;
+};
+
+// Function to run the registered handler for a stored delivery
+const runDelivery = async (key) => {
+  const delivery = getDelivery(key);
+  if (!delivery) return;
+
+  const handler = handlers.get(delivery.topic);
+  if (!handler) {
+    logger.error("No webhook handler registered for topic", { topic: delivery.topic, correlationId: delivery.correlationId });
+    completeDelivery(delivery, "failed", `No handler for topic ${delivery.topic}`);
+    return;
+  }
+
+  const log = logger.child({ correlationId: delivery.correlationId, webhookKey: key, topic: delivery.topic });
+  const processing = updateDelivery(key, {
+    status: "processing",
+    startedAt: new Date().toISOString(),
+  });
+
+  try {
+    await handler(processing.payload, processing);
+    completeDelivery(processing, "processed");
+  } catch (error) {
+    if (error instanceof WebhookPayloadError) {
+      log.warn("Webhook rejected", { error: error.message });
+      completeDelivery(processing, "rejected", error);
+      return;
+    }
+
+    log.error("Error processing webhook", { error });
+    const failed = completeDelivery(processing, "failed", error);
+
+    if (errorReporter) {
+      try {
+        await errorReporter(failed, error);
+      } catch (reportError) {
+        log.error("Webhook error reporter failed", { error: reportError.message });
+      }
+    }
+  }
+};
+
+// Function to persist a verified payload and process it in the background
+const enqueueWebhook = (delivery, payload) => {
+  updateDelivery(delivery.key, { status: "queued", payload });
+  setImmediate(() => runDelivery(delivery.key));
+};
+
+// Function to re-run a failed or rejected delivery from its stored payload
+const retryDelivery = (key) => {
+  const delivery = getDelivery(key);
+  if (!delivery || !delivery.payload || !["failed", "rejected"].includes(delivery.status)) {
+    return null;
+  }
+
+  const queued = updateDelivery(key, { status: "queued", error: null });
+  setImmediate(() => runDelivery(key));
+  return queued;
+};
+
+// Function to resume deliveries interrupted by a restart
+const resumePendingDeliveries = () => {
+  const pending = findDeliveries()
+    .filter((delivery) => ["queued", "processing"].includes(delivery.status) && delivery.payload);
+
+  pending.forEach((delivery) => setImmediate(() => runDelivery(delivery.key)));
+  if (pending.length > 0) {
+    logger.info("Resuming interrupted webhook deliveries", { count: pending.length });
+  }
+  return pending.length;
+};
+
+module.exports = {
+  WebhookPayloadError,
+  registerWebhookHandler,
+  setWebhookErrorReporter,
+  enqueueWebhook,
+  retryDelivery,
+  resumePendingDeliveries,
+};
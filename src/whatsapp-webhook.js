@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const { safeEqual } = require("./admin-auth");
+const { listTenants } = require("./tenants");
+const { logger } = require("./logger");
+const { hmacFailures } = require("./metrics");
+
+// Meta's GET verification challenge (hub.mode=subscribe with our verify token)
+function handleWhatsappVerification(req, res) {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
+
+  if (mode === "subscribe" && process.env.WHATSAPP_VERIFY_TOKEN && token && safeEqual(token, process.env.WHATSAPP_VERIFY_TOKEN)) {
+    logger.info("WhatsApp webhook verified");
+    return res.status(200).send(challenge);
+  }
+
+  logger.warn("WhatsApp webhook verification failed");
+  return res.status(403).send("Forbidden");
+}
+
+// X-Hub-Signature-256 Verification Middleware (HMAC of the raw body with the Meta app secret)
+// Each tenant may use its own Meta app, so any configured app secret is accepted
+function verifyWhatsappSignature(req, res, next) {
+  const appSecrets = [...new Set(listTenants().map((tenant) => tenant.whatsappAppSecret).filter(Boolean))];
+  const signatureHeader = req.get("X-Hub-Signature-256") || "";
+
+  if (appSecrets.length === 0) {
+    logger.error("WHATSAPP_APP_SECRET not set, rejecting WhatsApp webhook");
+    return res.status(503).send("WhatsApp webhook not configured");
+  }
+  if (!req.rawBody || !signatureHeader.startsWith("sha256=")) {
+    logger.warn("WhatsApp webhook signature missing");
+    hmacFailures.inc({ source: "whatsapp" });
+    return res.status(401).send("Unauthorized - signature missing");
+  }
+
+  const signature = signatureHeader.slice("sha256=".length);
+  const valid = appSecrets.some((appSecret) =>
+    safeEqual(signature, crypto.createHmac("sha256", appSecret).update(req.rawBody).digest("hex"))
+  );
+  if (!valid) {
+    logger.warn("WhatsApp webhook signature validation failed");
+    hmacFailures.inc({ source: "whatsapp" });
+    return res.status(401).send("Unauthorized - signature validation failed");
+  }
+
+  return next();
+}
+
+// Function to pull the "value" objects out of a WhatsApp Business Account webhook payload
+const getChangeValues = (body) => {
+  if (body?.object !== "whatsapp_business_account") return [];
+  return (body.entry || [])
+    .flatMap((entry) => entry.changes || [])
+    .filter((change) => change.field === "messages")
+    .map((change) => change.value || {});
+};
+
+// Function to list message status updates ({ id, status, timestamp, recipient_id, errors })
+const getStatusUpdates = (body) => getChangeValues(body).flatMap((value) => value.statuses || []);
+
+module.exports = {
+  handleWhatsappVerification,
+  verifyWhatsappSignature,
+  getChangeValues,
+  getStatusUpdates,
+};
@@ -0,0 +1,103 @@
+const axios = require("axios");
+const { graphApiDuration } = require("./metrics");
+
+const GRAPH_API_VERSION = "v19.0";
+
+// Function to get the Graph API base URL (GRAPH_API_BASE_URL points tests at a mock server)
+const getGraphApiBaseUrl = () => (process.env.GRAPH_API_BASE_URL || "https://graph.facebook.com").replace(/\/+$/, "");
+
+// Graph API error codes that mean "slow down" rather than "this message is bad"
+const RATE_LIMIT_ERROR_CODES = [4, 80007, 130429, 131048, 131056];
+
+// Graph API error codes that will never succeed on retry
+const PERMANENT_ERROR_CODES = [
+  100, // Invalid parameter
+  131008, // Required parameter is missing
+  131009, // Parameter value is not valid
+  131021, // Recipient cannot be sender
+  131026, // Message undeliverable (number not on WhatsApp)
+  131051, // Unsupported message type
+  132000, // Template parameter count mismatch
+  132001, // Template does not exist
+  132005, // Translated template text too long
+  132007, // Template format character policy violated
+  132012, // Template parameter format mismatch
+  132015, // Template is paused
+  132016, // Template is disabled
+];
+
+// Function to post a message payload to the WhatsApp Cloud API from a tenant's number
+// (request latency is recorded for /metrics)
+const postWhatsappMessage = async (payload, tenant) => {
+  const startedAt = process.hrtime.bigint();
+  const observe = (outcome) => graphApiDuration.observe({ outcome }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+
+  try {
+    const response = await axios.post(
+      `${getGraphApiBaseUrl()}/${GRAPH_API_VERSION}/${tenant.whatsappPhoneNumberId}/messages`,
+      { messaging_product: "whatsapp", ...payload },
+      {
+        headers: {
+          Authorization: `Bearer ${tenant.whatsappToken}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 15000,
+      }
+    );
+    observe("success");
+    return response.data;
+  } catch (err) {
+    observe("error");
+    throw err;
+  }
+};
+
+// Function to build a template message payload from a rendered template
+// ({ name, language, components } as produced by renderTemplate)
+const buildTemplatePayload = (to, template) => ({
+  to,
+  type: "template",
+  template: {
+    name: template.name,
+    language: { code: template.language },
+    components: template.components,
+  },
+});
+
+// Function to build a free-form text message payload
+const buildTextPayload = (to, body) => ({
+  to,
+  type: "text",
+  text: { body },
+});
+
+// Function to classify a failed Graph API call as rate limited, permanent or retryable
+const classifyGraphError = (err) => {
+  const status = err.response?.status;
+  const graphError = err.response?.data?.error;
+  const code = graphError?.code;
+  const description = graphError
+    ? `${code}: ${graphError.error_data?.details || graphError.message}`
+    : err.message;
+
+  if (status === 429 || RATE_LIMIT_ERROR_CODES.includes(code)) {
+    return { kind: "rate_limited", code, description };
+  }
+  if (PERMANENT_ERROR_CODES.includes(code)) {
+    return { kind: "permanent", code, description };
+  }
+  // Other client errors won't fix themselves, except expired/invalid tokens (401/403)
+  if (status >= 400 && status < 500 && status !== 401 && status !== 403) {
+    return { kind: "permanent", code, description };
+  }
+  return { kind: "retryable", code, description };
+};
+
+module.exports = {
+  GRAPH_API_VERSION,
+  getGraphApiBaseUrl,
+  postWhatsappMessage,
+  buildTemplatePayload,
+  buildTextPayload,
+  classifyGraphError,
+};
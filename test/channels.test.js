@@ -0,0 +1,149 @@
+const path = require("path");
+const { TEST_WHATSAPP_TOKEN } = require("./support/env");
+
+// The shipped routing: customers whatsapp → sms → email, admins whatsapp → email plus a Slack broadcast
+process.env.CHANNEL_CONFIG_PATH = path.join(__dirname, "..", "config", "channels.json");
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture, buildSignedWebhook } = require("./support/shopify");
+const { createMockWhatsappServer } = require("./support/mock-whatsapp-server");
+const { createMockSmsServer, createMockSlackServer } = require("./support/mock-http-provider");
+const { createMockSmtpServer } = require("./support/mock-smtp-server");
+
+const TEST_SMS_TOKEN = "test-sms-token";
+const CUSTOMER_PHONE = "919845012345";
+const CUSTOMER_EMAIL = "meera.iyer@example.com";
+const whatsapp = createMockWhatsappServer({ token: TEST_WHATSAPP_TOKEN });
+const sms = createMockSmsServer({ token: TEST_SMS_TOKEN });
+const slack = createMockSlackServer();
+const smtp = createMockSmtpServer();
+let app;
+let baseUrl;
+let enqueueMessage;
+let drainQueue;
+let getNotification;
+let getChannel;
+let buildTextPayload;
+let tenant;
+
+before(async () => {
+  process.env.GRAPH_API_BASE_URL = await whatsapp.start();
+  process.env.SMS_API_URL = await sms.start();
+  process.env.SMS_API_TOKEN = TEST_SMS_TOKEN;
+  process.env.SLACK_WEBHOOK_URL = await slack.start();
+  process.env.SMTP_HOST = "127.0.0.1";
+  process.env.SMTP_PORT = String(await smtp.start());
+  process.env.EMAIL_FROM = "orders@nanic.example";
+
+  const { createApp } = require("../src/app");
+  ({ enqueueMessage, drainQueue } = require("../src/message-queue"));
+  ({ getNotification } = require("../src/notification-history"));
+  ({ getChannel } = require("../src/channels"));
+  ({ buildTextPayload } = require("../src/whatsapp"));
+  [tenant] = require("../src/tenants").listTenants();
+
+  app = createApp().listen(0, "127.0.0.1");
+  await new Promise((resolve) => app.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${app.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => app.close(resolve));
+  await Promise.all([whatsapp.stop(), sms.stop(), slack.stop(), smtp.stop()]);
+});
+
+beforeEach(() => {
+  [whatsapp, sms, slack, smtp].forEach((mock) => mock.reset());
+});
+
+// Function to queue a customer text message on the customer route and wait until it's handled
+const sendToCustomer = async (text, meta = {}) => {
+  const message = enqueueMessage(
+    { whatsapp: buildTextPayload(CUSTOMER_PHONE, text), text, subject: "Order #1042 update" },
+    { tenantId: tenant.id, audience: "customer", recipient: CUSTOMER_PHONE, recipientEmail: CUSTOMER_EMAIL, orderName: "#1042", ...meta },
+    ["whatsapp", "sms", "email"]
+  );
+  await drainQueue();
+  return getNotification(message.id);
+};
+
+test("channels explain why they can't carry a message", () => {
+  const message = { meta: { recipient: null, recipientEmail: null }, content: { whatsapp: null, text: "Hi" } };
+
+  assert.equal(getChannel("whatsapp").getUnavailableReason(message, tenant), "recipient has no WhatsApp number");
+  assert.equal(getChannel("whatsapp").getUnavailableReason(message, { name: "Other shop" }), "WhatsApp is not configured for Other shop");
+  assert.equal(getChannel("sms").getUnavailableReason(message), "recipient has no phone number");
+  assert.equal(getChannel("email").getUnavailableReason(message), "recipient has no email address");
+  assert.equal(getChannel("slack").getUnavailableReason({ ...message, content: { text: null } }), "no plain-text version of this message");
+  assert.equal(getChannel("slack").getUnavailableReason(message), null);
+
+  const smsUrl = process.env.SMS_API_URL;
+  delete process.env.SMS_API_URL;
+  try {
+    assert.equal(getChannel("sms").getUnavailableReason({ ...message, meta: { recipient: CUSTOMER_PHONE } }), "SMS_API_URL is not set");
+  } finally {
+    process.env.SMS_API_URL = smsUrl;
+  }
+});
+
+test("a message WhatsApp can't deliver falls back to SMS", async () => {
+  whatsapp.failNumber(CUSTOMER_PHONE);
+  const entry = await sendToCustomer("Your order #1042 has been shipped.");
+
+  assert.equal(entry.status, "sent");
+  assert.equal(entry.channel, "sms");
+  assert.deepEqual(entry.fallbacks.map((fallback) => fallback.channel), ["whatsapp"]);
+  assert.equal(sms.requests.length, 1);
+  assert.deepEqual(sms.requests[0].body, { to: `+${CUSTOMER_PHONE}`, text: "Your order #1042 has been shipped." });
+  assert.equal(sms.requests[0].headers.authorization, `Bearer ${TEST_SMS_TOKEN}`);
+  assert.equal(smtp.emails.length, 0);
+});
+
+test("a message neither WhatsApp nor SMS can deliver falls back to email", async () => {
+  whatsapp.failNumber(CUSTOMER_PHONE);
+  sms.failWith(400, "Invalid destination number");
+  const entry = await sendToCustomer("Your order #1042 is out for delivery today.");
+
+  assert.equal(entry.status, "sent");
+  assert.equal(entry.channel, "email");
+  assert.deepEqual(entry.fallbacks.map((fallback) => fallback.channel), ["whatsapp", "sms"]);
+  assert.match(entry.fallbacks[1].error, /^HTTP 400/);
+  assert.equal(smtp.emails.length, 1);
+  assert.deepEqual(smtp.emails[0].to, [CUSTOMER_EMAIL]);
+  assert.equal(smtp.emails[0].subject, "Order #1042 update");
+  assert.equal(smtp.emails[0].text, "Your order #1042 is out for delivery today.");
+});
+
+test("a message no channel can deliver is dead-lettered with every channel's reason", async () => {
+  whatsapp.failNumber(CUSTOMER_PHONE);
+  sms.failWith(400, "Invalid destination number");
+  smtp.rejectRecipient(CUSTOMER_EMAIL);
+  const entry = await sendToCustomer("Your order #1042 has been delivered.");
+
+  assert.equal(entry.status, "failed");
+  assert.deepEqual(entry.fallbacks.map((fallback) => fallback.channel), ["whatsapp", "sms", "email"]);
+  assert.match(entry.error, /^whatsapp: .*; sms: HTTP 400.*; email: SMTP 550/);
+});
+
+test("channels a recipient can't use are skipped", async () => {
+  whatsapp.failNumber(CUSTOMER_PHONE);
+  const entry = await sendToCustomer("Your order #1042 has been shipped.", { recipient: null });
+
+  assert.equal(entry.channel, "email");
+  assert.equal(entry.fallbacks[1].error, "recipient has no phone number");
+  assert.equal(sms.requests.length, 0);
+  assert.equal(smtp.emails.length, 1);
+});
+
+test("admin alerts are broadcast to Slack once, alongside each admin's own message", async () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", loadFixture("orders-create-prepaid"));
+  assert.equal((await fetch(`${baseUrl}/webhook/orders/create`, { method: "POST", headers, body: rawBody })).status, 200);
+
+  const messages = await whatsapp.waitForMessages(2);
+  assert.deepEqual(messages.map((message) => message.template).sort(), ["admin_new_order", "order_confirmation"]);
+  await drainQueue();
+
+  assert.equal(slack.requests.length, 1);
+  assert.match(slack.requests[0].body.text, /^Dear team, .*#1042/);
+});
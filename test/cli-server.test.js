@@ -0,0 +1,133 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const { spawn } = require("child_process");
+const { TEST_WHATSAPP_TOKEN } = require("./support/env");
+
+// The server and the CLI share a file-backed DATA_DIR here, as they do in production
+const TEST_ADMIN_TOKEN = "test-admin-token";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "order-notifier-test-"));
+process.env.STORE_BACKEND = "file";
+process.env.ADMIN_API_TOKEN = TEST_ADMIN_TOKEN;
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { FIXTURES_DIR } = require("./support/env");
+const { loadFixture } = require("./support/shopify");
+const { createMockWhatsappServer } = require("./support/mock-whatsapp-server");
+
+const mock = createMockWhatsappServer({ token: TEST_WHATSAPP_TOKEN });
+let server;
+let runCli;
+
+// Function to find a free local port for the server
+const getFreePort = () => new Promise((resolve) => {
+  const probe = net.createServer().listen(0, "127.0.0.1", () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Function to wait until the server answers its health check
+const waitForServer = async (port, timeoutMs = 10000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      if ((await fetch(`http://127.0.0.1:${port}/health`)).ok) return;
+    } catch (err) {
+      if (Date.now() > deadline) throw new Error(`Server didn't start: ${err.message}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
+
+before(async () => {
+  const graphApiUrl = await mock.start();
+  const port = await getFreePort();
+  process.env.PORT = String(port);
+
+  server = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+    env: { ...process.env, GRAPH_API_BASE_URL: graphApiUrl },
+    stdio: "ignore",
+  });
+  await waitForServer(port);
+  ({ runCli } = require("../src/cli"));
+});
+
+after(async () => {
+  if (server.exitCode === null) {
+    await new Promise((resolve) => {
+      server.once("exit", resolve);
+      server.kill();
+    });
+  }
+  await mock.stop();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Function to run the CLI, capturing its output
+const run = async (...argv) => {
+  let stdout = "";
+  let stderr = "";
+  const code = await runCli(argv, {
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+  });
+  return { code, stdout, stderr };
+};
+
+const fixturePath = (name) => path.join(FIXTURES_DIR, `${name}.json`);
+
+test("replay goes through the running server, which sends the messages", async () => {
+  const { code, stdout } = await run("replay", "orders/create", "--file", fixturePath("orders-create-prepaid"));
+
+  assert.equal(code, 0);
+  assert.match(stdout, new RegExp(`on the server \\(process ${server.pid}\\)`));
+  const messages = await mock.waitForMessages(2);
+  assert.deepEqual(messages.map((message) => message.template).sort(), ["admin_new_order", "order_confirmation"]);
+});
+
+test("send-template goes through the running server", async () => {
+  mock.reset();
+  const { code, stdout } = await run(
+    "send-template", "orders/fulfilled", "--file", fixturePath("orders-fulfilled"), "--to", "+91 90000 22222"
+  );
+
+  assert.equal(code, 0);
+  assert.match(stdout, /through the server/);
+  const [message] = await mock.waitForMessages(1);
+  assert.equal(message.to, "919000022222");
+  assert.equal(message.template, "order_fulfilled");
+});
+
+test("commands fail without an admin token instead of writing to the server's data", async () => {
+  delete process.env.ADMIN_API_TOKEN;
+  try {
+    const { code, stderr } = await run("replay", "orders/create", "--file", fixturePath("orders-create-prepaid"));
+
+    assert.equal(code, 1);
+    assert.match(stderr, /set ADMIN_API_TOKEN so order-notifier can send through it/);
+  } finally {
+    process.env.ADMIN_API_TOKEN = TEST_ADMIN_TOKEN;
+  }
+});
+
+test("dry runs leave the server's data alone, even for an unregistered carrier", async () => {
+  const order = loadFixture("orders-fulfilled");
+  order.fulfillments[0].tracking_company = "Shree Maruti Courier";
+  const orderPath = `${process.env.DATA_DIR}-order.json`;
+  fs.writeFileSync(orderPath, JSON.stringify(order));
+
+  try {
+    const replayed = await run("replay", "orders/fulfilled", "--file", orderPath, "--dry-run");
+    const rendered = await run("send-template", "orders/fulfilled", "--file", orderPath, "--to", "+91 90000 22222", "--dry-run");
+
+    assert.equal(replayed.code, 0, replayed.stderr);
+    assert.match(replayed.stdout, /Dry run: orders\/fulfilled/);
+    assert.equal(rendered.code, 0, rendered.stderr);
+    assert.equal(fs.existsSync(path.join(process.env.DATA_DIR, "unknown-carriers.json.log")), false);
+  } finally {
+    fs.rmSync(orderPath, { force: true });
+  }
+});
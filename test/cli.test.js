@@ -0,0 +1,155 @@
+const { TEST_WHATSAPP_TOKEN } = require("./support/env");
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { FIXTURES_DIR } = require("./support/env");
+const { createMockWhatsappServer } = require("./support/mock-whatsapp-server");
+
+const mock = createMockWhatsappServer({ token: TEST_WHATSAPP_TOKEN });
+let runCli;
+let getRejectedPhones;
+let listTenants;
+
+before(async () => {
+  process.env.GRAPH_API_BASE_URL = await mock.start();
+  ({ runCli } = require("../src/cli"));
+  ({ getRejectedPhones } = require("../src/phone"));
+  ({ listTenants } = require("../src/tenants"));
+});
+
+after(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+// Function to run the CLI, capturing its output
+const run = async (...argv) => {
+  let stdout = "";
+  let stderr = "";
+  const code = await runCli(argv, {
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+  });
+  return { code, stdout, stderr };
+};
+
+const fixturePath = (name) => path.join(FIXTURES_DIR, `${name}.json`);
+
+test("replay --dry-run prints the rendered parameters without sending", async () => {
+  const { code, stdout } = await run("replay", "orders/create", "--file", fixturePath("orders-create-cod"), "--dry-run");
+
+  assert.equal(code, 0);
+  assert.match(stdout, /Customer \(orders\/create:cod\) → 919822055667/);
+  assert.match(stdout, /body \{\{1\}\}: Rahul/);
+  assert.match(stdout, /button 0 quick_reply: COD_CONFIRM:5480012345679/);
+  assert.match(stdout, /Admin Test Owner → 919876500001/);
+  assert.equal(mock.requests.length, 0);
+});
+
+test("replay --dry-run doesn't record an order without a phone as rejected", async () => {
+  const order = JSON.parse(fs.readFileSync(fixturePath("orders-create-prepaid"), "utf8"));
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "order-notifier-test-")), "no-phone.json");
+  fs.writeFileSync(file, JSON.stringify({
+    ...order,
+    id: 5480099999999,
+    customer: { ...order.customer, phone: null, default_address: null },
+    billing_address: { ...order.billing_address, phone: null },
+    shipping_address: { ...order.shipping_address, phone: null },
+  }));
+
+  const { code, stdout } = await run("replay", "orders/create", "--file", file, "--dry-run");
+  fs.rmSync(path.dirname(file), { recursive: true });
+
+  assert.equal(code, 0);
+  assert.match(stdout, /Customer \(orders\/create\) → no WhatsApp number/);
+  assert.equal(getRejectedPhones().some((rejection) => rejection.orderId === 5480099999999), false);
+});
+
+test("replay sends a file payload through the orders/fulfilled pipeline", async () => {
+  const { code, stdout } = await run("replay", "orders/fulfilled", "--file", fixturePath("orders-fulfilled"));
+
+  assert.equal(code, 0);
+  assert.deepEqual(mock.requests.map((message) => message.template).sort(), ["admin_order_fulfilled", "order_fulfilled"]);
+  assert.match(stdout, /sent +customer → 919845012345 .*\(order_fulfilled, whatsapp\)/);
+});
+
+test("replay announces shipments again for an order already processed", async () => {
+  await run("replay", "orders/fulfilled", "--file", fixturePath("orders-fulfilled"));
+  mock.reset();
+
+  const { code } = await run("replay", "orders/fulfilled", "--order", "#1042");
+  assert.equal(code, 0);
+  assert.equal(mock.requests.filter((message) => message.template === "order_fulfilled").length, 1);
+});
+
+test("replay exits non-zero when a message fails", async () => {
+  mock.failNumber("919845012345");
+  const { code, stdout } = await run("replay", "orders/create", "--file", fixturePath("orders-create-prepaid"));
+
+  assert.equal(code, 1);
+  assert.match(stdout, /failed +customer → 919845012345/);
+});
+
+test("send-template sends one template to the given number", async () => {
+  const { code } = await run(
+    "send-template", "orders/fulfilled", "--file", fixturePath("orders-fulfilled"), "--to", "+91 90000 22222"
+  );
+
+  assert.equal(code, 0);
+  assert.equal(mock.requests.length, 1);
+  assert.equal(mock.requests[0].to, "919000022222");
+  assert.equal(mock.requests[0].template, "order_fulfilled");
+});
+
+test("send-template rejects an invalid number", async () => {
+  const { code, stderr } = await run("send-template", "orders/create", "--file", fixturePath("orders-create-prepaid"), "--to", "12");
+
+  assert.equal(code, 2);
+  assert.match(stderr, /Invalid WhatsApp number 12: wrong length for IN/);
+  assert.equal(mock.requests.length, 0);
+});
+
+test("commands need exactly one order source", async () => {
+  assert.equal((await run("replay", "orders/create")).code, 2);
+  assert.equal((await run("replay", "orders/create", "--order", "#404")).code, 2);
+});
+
+test("check-config passes with a complete configuration", async () => {
+  const { code, stdout } = await run("check-config");
+
+  assert.equal(code, 0);
+  assert.match(stdout, /✅ WhatsApp number \/ token/);
+  assert.match(stdout, /Test Owner \(91\*+0001\) roles: owner/);
+  assert.match(stdout, /Configuration OK/);
+});
+
+test("check-config fails when a shop has no admins", async () => {
+  const [tenant] = listTenants();
+  tenant.admins = [];
+  try {
+    const { code, stdout } = await run("check-config");
+
+    assert.equal(code, 1);
+    assert.match(stdout, /❌ No admins configured/);
+    assert.match(stdout, /- Default: no admins configured, nobody receives alerts/);
+  } finally {
+    tenant.admins = null;
+  }
+});
+
+test("unknown commands print the usage", async () => {
+  const { code, stderr } = await run("resend");
+  assert.equal(code, 2);
+  assert.match(stderr, /Unknown command resend/);
+});
+
+// Runs last: the message it leaves queued would be retried during later tests
+test("replay exits non-zero when messages are still queued for a retry", async () => {
+  mock.failNumber("919845012345", { status: 500, code: 2, message: "Service temporarily unavailable" });
+  const { code, stdout } = await run("replay", "orders/create", "--file", fixturePath("orders-create-prepaid"));
+
+  assert.equal(code, 1);
+  assert.match(stdout, /retrying customer → 919845012345/);
+  assert.match(stdout, /1 message is still queued and lost when order-notifier exits \(STORE_BACKEND=memory\)/);
+});
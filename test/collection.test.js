@@ -0,0 +1,61 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+require("./support/env");
+// The file backend writes to DATA_DIR, so each run gets its own directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "order-notifier-test-"));
+process.env.STORE_BACKEND = "file";
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DATA_DIR, createFileCollection, getDataDirLockHolder } = require("../src/collection");
+
+after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test("file collections append changes to a log and read them back after a restart", () => {
+  const orders = createFileCollection("orders.json");
+  orders.set("1042", { id: 1042, status: "open" });
+  orders.set("1043", { id: 1043, status: "open" });
+  orders.set("1042", { id: 1042, status: "fulfilled" });
+  orders.delete("1043");
+
+  assert.equal(fs.existsSync(path.join(DATA_DIR, "orders.json")), false);
+  assert.equal(fs.readFileSync(path.join(DATA_DIR, "orders.json.log"), "utf8").trim().split("\n").length, 4);
+
+  const reloaded = createFileCollection("orders.json");
+  assert.equal(reloaded.size(), 1);
+  assert.deepEqual(reloaded.get("1042"), { id: 1042, status: "fulfilled" });
+  assert.equal(reloaded.get("1043"), null);
+});
+
+test("file collections fold the log into a snapshot once it grows", () => {
+  const history = createFileCollection("history.json");
+  for (let index = 0; index < 1000; index++) {
+    history.set(`message-${index % 10}`, { index });
+  }
+
+  assert.equal(fs.existsSync(path.join(DATA_DIR, "history.json.log")), false);
+  const snapshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "history.json"), "utf8"));
+  assert.deepEqual(snapshot["message-9"], { index: 999 });
+  assert.equal(createFileCollection("history.json").size(), 10);
+});
+
+test("a change cut short by a crash is skipped when the log is read back", () => {
+  const consents = createFileCollection("consents.json");
+  consents.set("919845012345", { suppressed: ["promotional"] });
+  fs.appendFileSync(path.join(DATA_DIR, "consents.json.log"), '{"key":"919822055667","val');
+
+  const reloaded = createFileCollection("consents.json");
+  assert.deepEqual(reloaded.get("919845012345"), { suppressed: ["promotional"] });
+  assert.equal(reloaded.size(), 1);
+});
+
+test("writing locks the data directory for this process and stale locks are taken over", () => {
+  const lock = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "store.lock"), "utf8"));
+  assert.equal(lock.pid, process.pid);
+  assert.equal(getDataDirLockHolder(), null);
+
+  // A lock left by a process that no longer runs doesn't count
+  fs.writeFileSync(path.join(DATA_DIR, "store.lock"), JSON.stringify({ pid: 2 ** 22 + 1 }));
+  assert.equal(getDataDirLockHolder(), null);
+});
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+require("./support/env");
+// Start from a consents file written before consent was kept per shop (keyed by phone alone)
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "order-notifier-test-"));
+process.env.STORE_BACKEND = "file";
+fs.writeFileSync(path.join(process.env.DATA_DIR, "consents.json"), JSON.stringify({
+  919822055667: {
+    phone: "919822055667",
+    suppressed: ["transactional", "promotional"],
+    promotionalOptIn: false,
+    source: "whatsapp",
+    reason: "STOP",
+    updatedAt: "2026-10-01T10:00:00.000Z",
+  },
+}));
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { optOut, optIn, clearConsent, canMessageCustomer, listSuppressions } = require("../src/consent");
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test("a STOP sent to one shop doesn't silence another shop", () => {
+  optOut("nanic.myshopify.com", "919845012345", ["transactional", "promotional"], { reason: "STOP" });
+
+  assert.equal(canMessageCustomer("nanic.myshopify.com", "919845012345").allowed, false);
+  assert.equal(canMessageCustomer("kora.myshopify.com", "919845012345").allowed, true);
+  assert.deepEqual(listSuppressions("kora.myshopify.com").map((consent) => consent.phone), ["919822055667"]);
+  assert.equal(listSuppressions("nanic.myshopify.com")[0].tenantId, "nanic.myshopify.com");
+
+  optIn("kora.myshopify.com", "919845012345");
+  assert.equal(canMessageCustomer("nanic.myshopify.com", "919845012345").allowed, false);
+  assert.equal(clearConsent("nanic.myshopify.com", "919845012345"), true);
+  assert.equal(canMessageCustomer("nanic.myshopify.com", "919845012345").allowed, true);
+});
+
+test("an opt-out recorded before consent was kept per shop still applies to every shop", () => {
+  assert.equal(canMessageCustomer("nanic.myshopify.com", "919822055667").allowed, false);
+  assert.equal(canMessageCustomer("kora.myshopify.com", "919822055667").allowed, false);
+
+  optIn("kora.myshopify.com", "919822055667");
+  assert.equal(canMessageCustomer("kora.myshopify.com", "919822055667").allowed, true);
+  assert.equal(canMessageCustomer("nanic.myshopify.com", "919822055667").allowed, false);
+});
@@ -0,0 +1,36 @@
+require("./support/env");
+// Times as they are often written in a .env file: no leading zero, or out of range
+process.env.DIGEST_DAILY_TIME = "9:00";
+process.env.DIGEST_WEEKLY_DAY = "monday";
+process.env.DIGEST_WEEKLY_TIME = "25:00";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeDigestTime, findDueDigests, describeDigestSchedule } = require("../src/digest");
+const { findConfigurationError } = require("../src/app");
+
+const tenant = { id: "default", name: "Default" };
+
+test("digest times are normalised to HH:MM", () => {
+  assert.equal(normalizeDigestTime("9:00"), "09:00");
+  assert.equal(normalizeDigestTime(" 21:30 "), "21:30");
+  assert.equal(normalizeDigestTime("OFF"), "off");
+  assert.equal(normalizeDigestTime("25:00"), null);
+  assert.equal(normalizeDigestTime("9pm"), null);
+});
+
+test("a daily time without a leading zero is due from that time on, not from 10:00", () => {
+  // 08:59 and 10:30 in Asia/Kolkata on a Monday
+  assert.deepEqual(findDueDigests([tenant], new Date("2026-10-19T03:29:00Z")), []);
+  assert.deepEqual(
+    findDueDigests([tenant], new Date("2026-10-19T05:00:00Z")).map(({ period, date }) => ({ period, date })),
+    [{ period: "daily", date: "2026-10-19" }]
+  );
+  assert.equal(describeDigestSchedule(), "daily at 09:00, weekly off (Asia/Kolkata)");
+});
+
+test("an invalid digest time makes the configuration invalid", () => {
+  const error = findConfigurationError();
+  assert.equal(error.name, "DigestConfigError");
+  assert.deepEqual(error.problems, ['DIGEST_WEEKLY_TIME "25:00" must be a 24-hour HH:MM time or "off"']);
+});
@@ -0,0 +1,26 @@
+require("./support/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./support/shopify");
+const { describeOrderStatus } = require("../src/inbound");
+
+test("describeOrderStatus names each package's carrier and tracking number", () => {
+  const order = loadFixture("orders-fulfilled");
+  order.fulfillments[0].shipment_status = "out_for_delivery";
+
+  assert.match(
+    describeOrderStatus(order),
+    /^Order #1042: Package 1 is out for delivery via Delhivery \(tracking 1490811234567\)\. https:\/\/\S+ Package 2 is \w[\w ]* via Blue Dart \(tracking 75312345678\)\./
+  );
+});
+
+test("describeOrderStatus leaves out the carrier when the shipment has none", () => {
+  const order = loadFixture("orders-fulfilled");
+  order.fulfillments = [{ ...order.fulfillments[0], tracking_company: null, tracking_urls: [], tracking_url: null }];
+
+  assert.equal(describeOrderStatus(order), "Order #1042: Your package is in transit (tracking 1490811234567).");
+
+  order.fulfillments[0].tracking_number = null;
+  order.fulfillments[0].tracking_numbers = [];
+  assert.equal(describeOrderStatus(order), "Order #1042: Your package is in transit.");
+});
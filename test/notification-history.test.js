@@ -0,0 +1,44 @@
+require("./support/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { recordNotification, applyDeliveryStatus, findNotificationByMessageId } = require("../src/notification-history");
+
+// Function to build a queue message as the message queue records it
+const buildMessage = (changes = {}) => ({
+  id: "b6f4c1c2-0000-4000-8000-000000000001",
+  content: { whatsapp: { to: "919845012345", type: "template", template: { name: "order_confirmation", components: [] } } },
+  meta: { tenantId: "default", orderId: 1042, orderName: "#1042", topic: "orders/create", audience: "customer" },
+  channel: "whatsapp",
+  status: "pending",
+  attempts: 0,
+  messageId: null,
+  lastError: null,
+  createdAt: "2026-10-19T10:00:00.000Z",
+  updatedAt: "2026-10-19T10:00:00.000Z",
+  ...changes,
+});
+
+test("status updates find the notification by its Graph API message id", () => {
+  recordNotification(buildMessage());
+  assert.equal(findNotificationByMessageId("wamid.HBgM1042"), null);
+
+  recordNotification(buildMessage({ status: "sent", attempts: 1, messageId: "wamid.HBgM1042" }));
+  const entry = applyDeliveryStatus("wamid.HBgM1042", "delivered", "1792404000");
+
+  assert.equal(entry.orderName, "#1042");
+  assert.equal(entry.deliveryStatus, "delivered");
+  assert.equal(findNotificationByMessageId("wamid.HBgM1042").deliveryTimeline.delivered, "2026-10-19T10:00:00.000Z");
+});
+
+test("a late sent status doesn't downgrade a read message", () => {
+  recordNotification(buildMessage({ id: "b6f4c1c2-0000-4000-8000-000000000002", status: "sent", messageId: "wamid.HBgM1043" }));
+  applyDeliveryStatus("wamid.HBgM1043", "read", "1792404100");
+  const entry = applyDeliveryStatus("wamid.HBgM1043", "sent", "1792404000");
+
+  assert.equal(entry.deliveryStatus, "read");
+  assert.deepEqual(Object.keys(entry.deliveryTimeline).sort(), ["read", "sent"]);
+});
+
+test("status updates for unknown message ids are ignored", () => {
+  assert.equal(applyDeliveryStatus("wamid.UNKNOWN", "delivered"), null);
+});
@@ -0,0 +1,63 @@
+require("./support/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./support/shopify");
+const { normalizePhone, getCustomerPhone, getRejectedPhones } = require("../src/phone");
+
+test("normalizePhone accepts Indian mobile numbers in any common format", () => {
+  ["+91 98450 12345", "9845012345", "09845012345", "919845012345", "+91-98450-12345"].forEach((raw) => {
+    assert.deepEqual(normalizePhone(raw, "IN"), { phone: "919845012345", country: "IN" }, raw);
+  });
+});
+
+test("normalizePhone explains why a number is rejected", () => {
+  assert.equal(normalizePhone("", "IN").reason, "empty");
+  assert.equal(normalizePhone("12345", "IN").reason, "wrong length for IN");
+  assert.equal(normalizePhone("020 2555 0101", "IN").reason, "fixed line number cannot receive WhatsApp");
+});
+
+test("normalizePhone reads international numbers given without a plus sign", () => {
+  assert.equal(normalizePhone("447911123456", "IN").phone, "447911123456");
+});
+
+test("getCustomerPhone prefers the customer's phone", () => {
+  assert.equal(getCustomerPhone(loadFixture("orders-create-prepaid")), "919845012345");
+});
+
+test("getCustomerPhone falls back to the shipping address phone", () => {
+  // The COD fixture has no customer phone, only a shipping address number with a trunk 0
+  assert.equal(getCustomerPhone(loadFixture("orders-create-cod")), "919822055667");
+});
+
+test("getCustomerPhone skips invalid numbers and uses the next candidate", () => {
+  const order = loadFixture("orders-create-prepaid");
+  order.customer.phone = "020 2555 0101";
+  order.shipping_address.phone = "12345";
+  order.billing_address.phone = "98111 22233";
+  assert.equal(getCustomerPhone(order), "919811122233");
+});
+
+test("getCustomerPhone uses the address country when reading local numbers", () => {
+  const order = loadFixture("orders-create-prepaid");
+  order.customer.phone = null;
+  order.shipping_address = { ...order.shipping_address, country: "United Kingdom", country_code: "GB", phone: "07911 123456" };
+  assert.equal(getCustomerPhone(order), "447911123456");
+});
+
+test("getCustomerPhone returns null and records the rejection when no number is usable", () => {
+  const order = loadFixture("orders-create-prepaid");
+  order.id = 990001;
+  order.customer.phone = "12345";
+  order.customer.default_address.phone = null;
+  order.shipping_address.phone = null;
+  order.billing_address.phone = "020 2555 0101";
+
+  assert.equal(getCustomerPhone(order), null);
+  const rejection = getRejectedPhones().find((entry) => entry.orderId === 990001);
+  assert.ok(rejection);
+  assert.deepEqual(rejection.rejections.map((entry) => entry.source), ["customer.phone", "billing_address.phone"]);
+});
+
+test("getCustomerPhone returns null for a missing order", () => {
+  assert.equal(getCustomerPhone(null), null);
+});
@@ -0,0 +1,34 @@
+require("./support/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createRateLimiter } = require("../src/rate-limit");
+
+// Function to serve a limited route that answers with the status in ?status=, and call it
+const withLimitedApp = async (options, callback) => {
+  const app = express();
+  app.use(createRateLimiter({ name: "Test", max: 2, ...options }));
+  app.get("/", (req, res) => res.status(Number(req.query.status) || 200).send("done"));
+
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const call = async (status = 200) => (await fetch(`http://127.0.0.1:${server.address().port}/?status=${status}`)).status;
+  try {
+    await callback(call);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+test("requests over the limit are turned away", async () => {
+  await withLimitedApp({}, async (call) => {
+    assert.deepEqual([await call(), await call(), await call()], [200, 200, 429]);
+  });
+});
+
+test("with skipSuccessfulRequests only rejected requests count", async () => {
+  await withLimitedApp({ skipSuccessfulRequests: true }, async (call) => {
+    assert.deepEqual([await call(), await call(), await call(), await call()], [200, 200, 200, 200]);
+    assert.deepEqual([await call(401), await call(401), await call(), await call(401)], [401, 401, 429, 429]);
+  });
+});
@@ -0,0 +1,109 @@
+const { TEST_WEBHOOK_SECRET } = require("./support/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture, buildSignedWebhook } = require("./support/shopify");
+const { verifyShopifyWebhook, WEBHOOK_MAX_AGE_MINUTES } = require("../src/shopify-webhook");
+
+const tenant = { id: "default", name: "Default", shopifyWebhookSecrets: [TEST_WEBHOOK_SECRET] };
+
+// Function to build the req/res pair the middleware sees after express.json()
+const buildRequest = ({ rawBody, headers = {}, secrets = tenant.shopifyWebhookSecrets }) => {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = {
+    path: "/webhook/orders/create",
+    tenant: { ...tenant, shopifyWebhookSecrets: secrets },
+    rawBody: rawBody === undefined ? undefined : Buffer.from(rawBody),
+    get: (name) => lowerCased[name.toLowerCase()],
+  };
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  return { req, res };
+};
+
+// Function to run the middleware, returning the response and whether next() was called
+const runMiddleware = (options) => {
+  const { req, res } = buildRequest(options);
+  let passed = false;
+  verifyShopifyWebhook(req, res, () => {
+    passed = true;
+  });
+  return { passed, status: res.statusCode, body: res.body };
+};
+
+const order = loadFixture("orders-create-prepaid");
+
+test("accepts a correctly signed webhook", () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order);
+  assert.deepEqual(runMiddleware({ rawBody, headers }), { passed: true, status: null, body: null });
+});
+
+test("accepts a webhook signed with any of the shop's secrets during rotation", () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order, { secret: "new-rotated-secret" });
+  const result = runMiddleware({ rawBody, headers, secrets: [TEST_WEBHOOK_SECRET, "new-rotated-secret"] });
+  assert.equal(result.passed, true);
+});
+
+test("rejects a webhook whose body was changed after signing", () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order);
+  const tampered = rawBody.replace('"total_price":"1098.00"', '"total_price":"1.00"');
+  assert.notEqual(tampered, rawBody);
+
+  const result = runMiddleware({ rawBody: tampered, headers });
+  assert.equal(result.passed, false);
+  assert.equal(result.status, 401);
+});
+
+test("rejects a webhook signed with a different secret", () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order, { secret: "someone-elses-secret" });
+  assert.equal(runMiddleware({ rawBody, headers }).status, 401);
+});
+
+test("rejects a webhook without an HMAC header", () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order);
+  delete headers["X-Shopify-Hmac-Sha256"];
+
+  const result = runMiddleware({ rawBody, headers });
+  assert.equal(result.status, 401);
+  assert.equal(result.body, "Unauthorized - HMAC missing");
+});
+
+test("rejects a request without a JSON body", () => {
+  const { headers } = buildSignedWebhook("orders/create", order);
+  assert.equal(runMiddleware({ rawBody: undefined, headers }).status, 400);
+});
+
+test("refuses webhooks when the shop has no secret configured", () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order);
+  assert.equal(runMiddleware({ rawBody, headers, secrets: [] }).status, 503);
+});
+
+test("rejects a replayed webhook older than the allowed age", () => {
+  const triggeredAt = new Date(Date.now() - (WEBHOOK_MAX_AGE_MINUTES + 1) * 60 * 1000);
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order, { triggeredAt });
+
+  const result = runMiddleware({ rawBody, headers });
+  assert.equal(result.status, 401);
+  assert.equal(result.body, "Unauthorized - stale webhook");
+});
+
+test("rejects a webhook triggered too far in the future", () => {
+  const triggeredAt = new Date(Date.now() + 60 * 60 * 1000);
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order, { triggeredAt });
+  assert.equal(runMiddleware({ rawBody, headers }).status, 401);
+});
+
+test("rejects a webhook without X-Shopify-Triggered-At", () => {
+  const { rawBody, headers } = buildSignedWebhook("orders/create", order);
+  delete headers["X-Shopify-Triggered-At"];
+  assert.equal(runMiddleware({ rawBody, headers }).status, 400);
+});
@@ -0,0 +1,30 @@
+const path = require("path");
+
+// Test environment, loaded before any src module so their configuration constants pick it up
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+const TEST_WEBHOOK_SECRET = "test-shopify-webhook-secret";
+const TEST_WHATSAPP_TOKEN = "test-whatsapp-token";
+const TEST_PHONE_NUMBER_ID = "100000000000001";
+const TEST_WHATSAPP_APP_SECRET = "test-whatsapp-app-secret";
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || "error",
+  STORE_BACKEND: "memory",
+  SHOPIFY_WEBHOOK_SECRET: TEST_WEBHOOK_SECRET,
+  WHATSAPP_PHONE_NUMBER_ID: TEST_PHONE_NUMBER_ID,
+  WHATSAPP_TOKEN: TEST_WHATSAPP_TOKEN,
+  WHATSAPP_APP_SECRET: TEST_WHATSAPP_APP_SECRET,
+  DEFAULT_PHONE_REGION: "IN",
+  ADMINS_CONFIG_PATH: path.join(FIXTURES_DIR, "admins.json"),
+  // Missing files fall back to the single env tenant and WhatsApp-only routing
+  TENANTS_CONFIG_PATH: path.join(FIXTURES_DIR, "missing-tenants.json"),
+  CHANNEL_CONFIG_PATH: path.join(FIXTURES_DIR, "missing-channels.json"),
+  DIGEST_DAILY_TIME: "off",
+});
+
+// Variables from a developer's shell that would send tests to real services
+["ADMIN_WHATSAPP_NUMBERS", "SLACK_WEBHOOK_URL", "SMS_API_URL", "SMTP_HOST", "KEEP_ALIVE_URL", "GRAPH_API_BASE_URL"]
+  .forEach((name) => delete process.env[name]);
+
+module.exports = { FIXTURES_DIR, TEST_WEBHOOK_SECRET, TEST_WHATSAPP_TOKEN, TEST_PHONE_NUMBER_ID, TEST_WHATSAPP_APP_SECRET };
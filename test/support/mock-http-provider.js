@@ -0,0 +1,91 @@
+const http = require("http");
+const crypto = require("crypto");
+
+// Local stand-ins for the SMS HTTP provider (point SMS_API_URL at it) and a Slack incoming
+// webhook (SLACK_WEBHOOK_URL). Both record the JSON bodies they receive
+
+// Function to create a mock HTTP endpoint that accepts JSON posts on any path
+// token: expected bearer token (any request is accepted when omitted)
+// respond: builds the success response body for a recorded request
+const createMockHttpProvider = ({ token, respond }) => {
+  const requests = [];
+  let failure = null;
+  let server = null;
+  let url = null;
+
+  const handleRequest = (req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        res.writeHead(401, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: "invalid token" }));
+      }
+
+      const entry = { path: req.url, body: JSON.parse(raw || "{}"), headers: req.headers, failed: Boolean(failure) };
+      requests.push(entry);
+      if (failure) {
+        res.writeHead(failure.status, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: failure.message }));
+      }
+      const body = respond(entry);
+      res.writeHead(200, { "Content-Type": typeof body === "string" ? "text/plain" : "application/json" });
+      return res.end(typeof body === "string" ? body : JSON.stringify(body));
+    });
+  };
+
+  // Function to start listening on a free port, resolving with the endpoint URL
+  const start = () => new Promise((resolve, reject) => {
+    server = http.createServer(handleRequest);
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+      resolve(url);
+    });
+  });
+
+  // Function to stop the server
+  const stop = () => new Promise((resolve) => {
+    if (!server) return resolve();
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+
+  // Function to make every request fail with an HTTP status until reset
+  const failWith = (status, message = "Provider error") => {
+    failure = { status, message };
+  };
+
+  // Function to forget received requests and the configured failure between tests
+  const reset = () => {
+    requests.splice(0);
+    failure = null;
+  };
+
+  return {
+    start,
+    stop,
+    reset,
+    failWith,
+    get url() {
+      return url;
+    },
+    get requests() {
+      return requests;
+    },
+  };
+};
+
+// Function to create a mock SMS provider (answers with a message id like most providers)
+const createMockSmsServer = ({ token } = {}) => createMockHttpProvider({
+  token,
+  respond: () => ({ id: `sms-${crypto.randomBytes(6).toString("hex")}`, status: "queued" }),
+});
+
+// Function to create a mock Slack incoming webhook (answers "ok" as Slack does)
+const createMockSlackServer = () => createMockHttpProvider({ respond: () => "ok" });
+
+module.exports = { createMockSmsServer, createMockSlackServer };
@@ -0,0 +1,127 @@
+const net = require("net");
+const crypto = require("crypto");
+
+// Local stand-in for an SMTP relay (point SMTP_HOST/SMTP_PORT at it, no TLS or auth)
+// Speaks just enough SMTP for nodemailer and records every accepted email
+
+// Function to create a mock SMTP server
+const createMockSmtpServer = () => {
+  const emails = [];
+  const rejected = new Set();
+  const sockets = new Set();
+  let server = null;
+  let port = null;
+
+  // Function to run one SMTP session
+  const handleConnection = (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.setEncoding("utf8");
+
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null; // collected message while in DATA mode
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handleCommand = (line) => {
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === "EHLO" || command === "HELO") {
+        reply("250 mock-smtp");
+      } else if (command === "MAIL") {
+        envelope = { from: line.match(/<(.*)>/)?.[1] || null, to: [] };
+        reply("250 OK");
+      } else if (command === "RCPT") {
+        const to = line.match(/<(.*)>/)?.[1] || null;
+        if (rejected.has(to)) {
+          reply("550 5.1.1 Mailbox unavailable");
+          return;
+        }
+        envelope.to.push(to);
+        reply("250 OK");
+      } else if (command === "DATA") {
+        data = "";
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (command === "RSET") {
+        envelope = { from: null, to: [] };
+        reply("250 OK");
+      } else if (command === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else {
+        reply("502 Command not implemented");
+      }
+    };
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data === null) {
+          handleCommand(line);
+        } else if (line === ".") {
+          const id = `<${crypto.randomBytes(8).toString("hex")}@mock-smtp>`;
+          const [headers, ...body] = data.split("\r\n\r\n");
+          emails.push({
+            ...envelope,
+            subject: headers.match(/^Subject: (.*)$/m)?.[1] || null,
+            headers,
+            text: body.join("\r\n\r\n").trim(),
+          });
+          data = null;
+          reply(`250 OK ${id}`);
+        } else {
+          data += `${line.startsWith("..") ? line.slice(1) : line}\r\n`;
+        }
+      }
+    });
+
+    reply("220 mock-smtp ESMTP");
+  };
+
+  // Function to start listening on a free port, resolving with the port
+  const start = () => new Promise((resolve, reject) => {
+    server = net.createServer(handleConnection);
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      ({ port } = server.address());
+      resolve(port);
+    });
+  });
+
+  // Function to stop the server
+  const stop = () => new Promise((resolve) => {
+    if (!server) return resolve();
+    sockets.forEach((socket) => socket.destroy());
+    server.close(() => resolve());
+  });
+
+  // Function to reject every email to an address (550, a permanent failure)
+  const rejectRecipient = (address) => {
+    rejected.add(address);
+  };
+
+  // Function to forget received emails and rejected addresses between tests
+  const reset = () => {
+    emails.splice(0);
+    rejected.clear();
+  };
+
+  return {
+    start,
+    stop,
+    reset,
+    rejectRecipient,
+    get port() {
+      return port;
+    },
+    get emails() {
+      return emails;
+    },
+  };
+};
+
+module.exports = { createMockSmtpServer };
@@ -0,0 +1,170 @@
+const http = require("http");
+const crypto = require("crypto");
+
+// Local stand-in for the WhatsApp Cloud API (point GRAPH_API_BASE_URL at it)
+// Records every message it receives and answers the way the Graph API does
+
+const MESSAGES_PATH = /^\/v[\d.]+\/([^/]+)\/messages$/;
+
+// Function to build a Graph API error body
+const buildGraphError = ({ code, message, details }) => ({
+  error: {
+    message,
+    type: "OAuthException",
+    code,
+    error_data: { messaging_product: "whatsapp", details: details || message },
+    fbtrace_id: crypto.randomBytes(8).toString("hex"),
+  },
+});
+
+// Function to create a mock Graph API server
+// token: expected bearer token (any token is accepted when omitted)
+// onMessage: called with each recorded message
+const createMockWhatsappServer = ({ token, onMessage } = {}) => {
+  const requests = [];
+  const failures = new Map();
+  const waiters = [];
+  let server = null;
+  let url = null;
+
+  // Function to resolve waitForMessages calls that now have enough messages
+  const notifyWaiters = () => {
+    waiters
+      .filter((waiter) => requests.length >= waiter.count)
+      .forEach((waiter) => {
+        clearTimeout(waiter.timer);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(requests.slice());
+      });
+  };
+
+  // Function to answer a request with a JSON body
+  const reply = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const handleRequest = (req, res) => {
+    const match = req.method === "POST" && req.url.match(MESSAGES_PATH);
+    if (!match) {
+      return reply(res, 404, buildGraphError({ code: 100, message: `Unknown path ${req.method} ${req.url}` }));
+    }
+
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return reply(res, 401, buildGraphError({ code: 190, message: "Invalid OAuth access token" }));
+      }
+
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (err) {
+        return reply(res, 400, buildGraphError({ code: 100, message: "Invalid JSON body" }));
+      }
+
+      const failure = failures.get(String(body.to));
+      const entry = {
+        phoneNumberId: match[1],
+        to: body.to,
+        type: body.type,
+        template: body.template?.name || null,
+        body,
+        headers: req.headers,
+        failed: Boolean(failure),
+        receivedAt: new Date().toISOString(),
+      };
+      requests.push(entry);
+      if (onMessage) onMessage(entry);
+      notifyWaiters();
+
+      if (failure) {
+        return reply(res, failure.status, buildGraphError(failure));
+      }
+      return reply(res, 200, {
+        messaging_product: "whatsapp",
+        contacts: [{ input: body.to, wa_id: body.to }],
+        messages: [{ id: `wamid.MOCK${crypto.randomBytes(12).toString("hex").toUpperCase()}` }],
+      });
+    });
+  };
+
+  // Function to start listening (port 0 picks a free port), resolving with the base URL
+  const start = (port = 0) => new Promise((resolve, reject) => {
+    server = http.createServer(handleRequest);
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      resolve(url);
+    });
+  });
+
+  // Function to stop the server
+  const stop = () => new Promise((resolve) => {
+    waiters.splice(0).forEach((waiter) => clearTimeout(waiter.timer));
+    if (!server) return resolve();
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+
+  // Function to wait until at least `count` messages were received in total
+  const waitForMessages = (count, timeoutMs = 2000) => {
+    if (requests.length >= count) return Promise.resolve(requests.slice());
+    return new Promise((resolve, reject) => {
+      const waiter = { count, resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`Expected ${count} WhatsApp messages, received ${requests.length}`));
+      }, timeoutMs);
+      waiters.push(waiter);
+    });
+  };
+
+  // Function to make every message to a number fail (defaults to "number not on WhatsApp")
+  const failNumber = (to, { status = 400, code = 131026, message = "Message Undeliverable." } = {}) => {
+    failures.set(String(to), { status, code, message });
+  };
+
+  // Function to forget received messages and configured failures between tests
+  const reset = () => {
+    requests.splice(0);
+    failures.clear();
+  };
+
+  return {
+    start,
+    stop,
+    reset,
+    failNumber,
+    waitForMessages,
+    get url() {
+      return url;
+    },
+    get requests() {
+      return requests;
+    },
+  };
+};
+
+// Run standalone for manual testing: `npm run mock:whatsapp`, then start the app with
+// GRAPH_API_BASE_URL=http://127.0.0.1:4010
+if (require.main === module) {
+  const mock = createMockWhatsappServer({
+    token: process.env.MOCK_WHATSAPP_TOKEN,
+    onMessage: (entry) => {
+      console.log(`${entry.receivedAt} → ${entry.to} ${entry.template || entry.type}`);
+      console.log(JSON.stringify(entry.body, null, 2));
+    },
+  });
+  const port = Number(process.env.MOCK_WHATSAPP_PORT) || 4010;
+
+  mock.start(port).then((url) => {
+    console.log(`Mock WhatsApp Cloud API listening on ${url}`);
+  });
+}
+
+module.exports = { createMockWhatsappServer };
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { FIXTURES_DIR, TEST_WEBHOOK_SECRET } = require("./env");
+
+const TEST_SHOP_DOMAIN = "nanic-test.myshopify.com";
+
+// Function to load a fixture as a fresh object (tests can modify it freely)
+const loadFixture = (name) => {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), "utf8"));
+};
+
+// Function to sign a raw body the way Shopify does (base64 HMAC-SHA256)
+const signPayload = (rawBody, secret = TEST_WEBHOOK_SECRET) => {
+  return crypto.createHmac("sha256", secret).update(rawBody, "utf8").digest("base64");
+};
+
+// Function to build a signed webhook request (body and headers) for a topic
+const buildSignedWebhook = (topic, payload, options = {}) => {
+  const rawBody = typeof payload === "string" ? payload : JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Shopify-Topic": topic,
+    "X-Shopify-Shop-Domain": options.shopDomain || TEST_SHOP_DOMAIN,
+    "X-Shopify-Webhook-Id": options.webhookId || crypto.randomUUID(),
+    "X-Shopify-Triggered-At": (options.triggeredAt || new Date()).toISOString(),
+    "X-Shopify-Hmac-Sha256": options.hmac || signPayload(rawBody, options.secret),
+  };
+  // webhookId: null sends no X-Shopify-Webhook-Id, as some proxies and older apps do
+  if (options.webhookId === null) {
+    delete headers["X-Shopify-Webhook-Id"];
+  }
+  return { rawBody, headers };
+};
+
+module.exports = { TEST_SHOP_DOMAIN, loadFixture, signPayload, buildSignedWebhook };
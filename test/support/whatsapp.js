@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+const { TEST_PHONE_NUMBER_ID, TEST_WHATSAPP_APP_SECRET } = require("./env");
+
+// Function to wrap status updates in a WhatsApp Business Account webhook payload
+const buildStatusPayload = (statuses) => ({
+  object: "whatsapp_business_account",
+  entry: [{
+    id: "200000000000001",
+    changes: [{
+      field: "messages",
+      value: {
+        messaging_product: "whatsapp",
+        metadata: { phone_number_id: TEST_PHONE_NUMBER_ID },
+        statuses,
+      },
+    }],
+  }],
+});
+
+// Function to build a signed WhatsApp webhook request (body and headers) the way Meta sends it
+const buildSignedWhatsappWebhook = (payload, secret = TEST_WHATSAPP_APP_SECRET) => {
+  const rawBody = JSON.stringify(payload);
+  const signature = crypto.createHmac("sha256", secret).update(rawBody, "utf8").digest("hex");
+  return { rawBody, headers: { "Content-Type": "application/json", "X-Hub-Signature-256": `sha256=${signature}` } };
+};
+
+module.exports = { buildStatusPayload, buildSignedWhatsappWebhook };
@@ -0,0 +1,60 @@
+require("./support/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeParameter, joinWithinLimit, BODY_PARAMETER_MAX_LENGTH } = require("../src/template-limits");
+const { formatAddress, formatProductList, formatOrderAmount } = require("../src/order-format");
+
+test("sanitizeParameter removes line breaks, tabs and runs of spaces", () => {
+  assert.equal(sanitizeParameter("Flat 7,\nShanti Niwas\r\nKarve Road"), "Flat 7, Shanti Niwas, Karve Road");
+  assert.equal(sanitizeParameter("Ashwagandha\t\t200 g"), "Ashwagandha 200 g");
+  assert.equal(sanitizeParameter("Gift     wrap  please "), "Gift wrap please");
+  assert.doesNotMatch(sanitizeParameter("a\n\n\n\tb      c"), /[\n\t]| {5}/);
+});
+
+test("sanitizeParameter cuts long values with an ellipsis", () => {
+  const value = sanitizeParameter("x".repeat(100), 60);
+  assert.equal(value.length, 60);
+  assert.ok(value.endsWith("…"));
+});
+
+test("joinWithinLimit keeps whole entries and counts the rest", () => {
+  const entries = Array.from({ length: 10 }, (item, idx) => `${idx + 1}. Product ${idx + 1} - 1 no`);
+  const joined = joinWithinLimit(entries, ", ", 60);
+
+  assert.ok(joined.length <= 60);
+  assert.equal(joined, "1. Product 1 - 1 no, 2. Product 2 - 1 no, …and 8 more items");
+  assert.equal(joinWithinLimit(entries.slice(0, 2), ", ", 60), "1. Product 1 - 1 no, 2. Product 2 - 1 no");
+});
+
+test("joinWithinLimit cuts the first entry when not even that fits", () => {
+  const joined = joinWithinLimit(["1. " + "Very long product name ".repeat(10), "2. Second"], ", ", 60);
+  assert.ok(joined.length <= 60);
+  assert.match(joined, /^1\. Very long product name .*…, …and 1 more item$/);
+});
+
+test("formatAddress leaves out missing fields instead of printing undefined", () => {
+  assert.equal(
+    formatAddress({ name: "Asha K", address1: "12 MG Road", city: "Pune", zip: "411001", country: "India" }),
+    "Asha K, 12 MG Road, Pune, 411001, India"
+  );
+  assert.equal(formatAddress({ address1: "12 MG Road", address2: null, province: undefined }), "12 MG Road");
+  assert.equal(formatAddress({}), "Address not provided");
+  assert.equal(formatAddress(null), "Address not provided");
+});
+
+test("formatProductList ends long orders with the number of items left out", () => {
+  const lineItems = Array.from({ length: 40 }, (item, idx) => ({ name: `Herbal Tea Blend ${idx + 1}`, quantity: 1 }));
+  const list = formatProductList(lineItems);
+
+  assert.ok(list.length <= BODY_PARAMETER_MAX_LENGTH);
+  assert.match(list, /^1\. Herbal Tea Blend 1 - 1 no, .*, …and \d+ more items$/);
+});
+
+test("formatOrderAmount uses the order's currency", () => {
+  assert.equal(formatOrderAmount("1098.00", { currency: "INR" }), "₹1,098.00");
+  assert.equal(formatOrderAmount("25.5", { currency: "USD" }), "$25.50");
+  assert.equal(formatOrderAmount("100000", { currency: "INR" }), "₹1,00,000.00");
+  assert.equal(formatOrderAmount("100000", { currency: "USD" }), "$100,000.00");
+  assert.equal(formatOrderAmount("499", {}), "₹499.00");
+  assert.equal(formatOrderAmount(undefined, { currency: "INR" }), null);
+});
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+require("./support/env");
+// Two shops, the second without its own admins
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "order-notifier-test-"));
+process.env.TENANTS_CONFIG_PATH = path.join(configDir, "tenants.json");
+fs.writeFileSync(process.env.TENANTS_CONFIG_PATH, JSON.stringify({
+  "nanic.myshopify.com": {
+    name: "Nanic",
+    shopifyWebhookSecret: "nanic-webhook-secret",
+    whatsappPhoneNumberId: "100000000000002",
+    whatsappToken: "nanic-whatsapp-token",
+    admins: [{ name: "Nanic Owner", phone: "9876500011", roles: ["owner"] }],
+  },
+  "kora.myshopify.com": {
+    name: "Kora",
+    shopifyWebhookSecret: "kora-webhook-secret",
+    whatsappPhoneNumberId: "100000000000003",
+    whatsappToken: "kora-whatsapp-token",
+  },
+}));
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { getTenantById } = require("../src/tenants");
+const { getAdmins } = require("../src/admins");
+const { findConfigurationError } = require("../src/app");
+const { runCli } = require("../src/cli");
+
+after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+test("a shop without its own admins never gets the shared roster", () => {
+  assert.deepEqual(getAdmins(getTenantById("kora.myshopify.com")), []);
+  assert.deepEqual(getAdmins(getTenantById("nanic.myshopify.com")).map((admin) => admin.name), ["Nanic Owner"]);
+});
+
+test("the configuration is invalid when a shop lists no admins", async () => {
+  const error = findConfigurationError();
+  assert.deepEqual(error.problems, ['Kora lists no "admins" (each shop needs its own)']);
+
+  let stdout = "";
+  const code = await runCli(["check-config"], { stdout: { write: (text) => { stdout += text; } }, stderr: { write: () => {} } });
+  assert.equal(code, 1);
+  assert.match(stdout, /Kora lists no "admins"/);
+});
@@ -0,0 +1,62 @@
+require("./support/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture } = require("./support/shopify");
+const { extractTrackingInfo } = require("../src/tracking");
+
+test("extractTrackingInfo lists every package of a multi-carrier order", () => {
+  const tracking = extractTrackingInfo(loadFixture("orders-fulfilled"));
+
+  assert.equal(tracking.trackingNumber, "1490811234567, 75312345678");
+  assert.equal(tracking.trackingCompany, "Delhivery, Blue Dart");
+  assert.equal(tracking.shipments.length, 2);
+  assert.deepEqual(tracking.shipments[0].items, [{ name: "Ashwagandha Root Powder - 200 g", quantity: 2 }]);
+  assert.equal(tracking.shipments[1].carrier, "Blue Dart");
+});
+
+test("extractTrackingInfo builds a carrier tracking link when Shopify has none", () => {
+  const tracking = extractTrackingInfo(loadFixture("orders-fulfilled"));
+
+  assert.deepEqual(tracking.shipments[1].trackingUrls, [
+    "https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo=75312345678",
+  ]);
+  assert.equal(
+    tracking.trackingLink,
+    "https://www.delhivery.com/track/package/1490811234567, "
+      + "https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo=75312345678"
+  );
+});
+
+test("extractTrackingInfo recognises carrier name variants", () => {
+  const order = loadFixture("orders-fulfilled");
+  order.fulfillments = [{ ...order.fulfillments[0], tracking_company: "delhivery ", tracking_urls: [], tracking_url: null }];
+
+  const tracking = extractTrackingInfo(order);
+  assert.equal(tracking.trackingCompany, "Delhivery");
+  assert.equal(tracking.trackingLink, "https://www.delhivery.com/track/package/1490811234567");
+});
+
+test("extractTrackingInfo ignores cancelled fulfillments", () => {
+  const order = loadFixture("orders-fulfilled");
+  order.fulfillments[0].status = "cancelled";
+
+  const tracking = extractTrackingInfo(order);
+  assert.equal(tracking.trackingNumber, "75312345678");
+  assert.equal(tracking.shipments.length, 1);
+});
+
+test("extractTrackingInfo falls back to line item tracking numbers", () => {
+  const order = loadFixture("orders-create-prepaid");
+  order.line_items[0].fulfillment = { tracking_number: "LI-99887766" };
+
+  assert.equal(extractTrackingInfo(order).trackingNumber, "LI-99887766");
+});
+
+test("extractTrackingInfo returns placeholders for an unfulfilled order", () => {
+  assert.deepEqual(extractTrackingInfo(loadFixture("orders-create-prepaid")), {
+    trackingNumber: "Not Available",
+    trackingLink: "No link",
+    trackingCompany: "Not specified",
+    shipments: [],
+  });
+});
@@ -0,0 +1,317 @@
+const { TEST_WHATSAPP_TOKEN, TEST_PHONE_NUMBER_ID } = require("./support/env");
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixture, buildSignedWebhook } = require("./support/shopify");
+const { buildStatusPayload, buildSignedWhatsappWebhook } = require("./support/whatsapp");
+const { createMockWhatsappServer } = require("./support/mock-whatsapp-server");
+
+// End to end: signed Shopify webhook → createApp() → mock Graph API
+const ADMIN_PHONE = "919876500001";
+const mock = createMockWhatsappServer({ token: TEST_WHATSAPP_TOKEN });
+let server;
+let baseUrl;
+let searchNotifications;
+let getUnknownCarriers;
+
+before(async () => {
+  process.env.GRAPH_API_BASE_URL = await mock.start();
+  const { createApp } = require("../src/app");
+  ({ searchNotifications } = require("../src/notification-history"));
+  ({ getUnknownCarriers } = require("../src/carriers"));
+
+  server = createApp().listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await mock.stop();
+});
+
+beforeEach(() => mock.reset());
+
+// Function to post a signed webhook to the app
+const postWebhook = async (topic, payload, options) => {
+  const { rawBody, headers } = buildSignedWebhook(topic, payload, options);
+  const response = await fetch(`${baseUrl}/webhook/${topic}`, { method: "POST", headers, body: rawBody });
+  return { status: response.status, text: await response.text(), headers: response.headers };
+};
+
+// Function to post signed WhatsApp status updates to the app
+const postWhatsappStatuses = async (statuses) => {
+  const { rawBody, headers } = buildSignedWhatsappWebhook(buildStatusPayload(statuses));
+  const response = await fetch(`${baseUrl}/webhook/whatsapp`, { method: "POST", headers, body: rawBody });
+  return { status: response.status, text: await response.text() };
+};
+
+// Function to get the body parameter texts of a template message
+const getBodyParameters = (message) => {
+  return message.body.template.components
+    .find((component) => component.type === "body")
+    .parameters.map((parameter) => parameter.text);
+};
+
+// Function to wait until a condition holds (webhooks are processed after the 200 response)
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+test("orders/create sends the order confirmation to the customer and the new order alert to admins", async () => {
+  const response = await postWebhook("orders/create", loadFixture("orders-create-prepaid"));
+  assert.equal(response.status, 200);
+  assert.ok(response.headers.get("x-correlation-id"));
+
+  const messages = await mock.waitForMessages(2);
+  const customer = messages.find((message) => message.template === "order_confirmation");
+  const admin = messages.find((message) => message.template === "admin_new_order");
+
+  assert.equal(customer.to, "919845012345");
+  assert.equal(customer.phoneNumberId, TEST_PHONE_NUMBER_ID);
+  assert.deepEqual(getBodyParameters(customer), [
+    "Meera",
+    "#1042",
+    "₹1,098.00",
+    "1. Ashwagandha Root Powder - 200 g - 2 nos, 2. Kumkumadi Face Oil - 30 ml - 1 no",
+  ]);
+
+  assert.equal(admin.to, ADMIN_PHONE);
+  const adminParameters = getBodyParameters(admin);
+  assert.equal(adminParameters[0], "Test Owner");
+  assert.equal(adminParameters[3], "919845012345");
+  assert.equal(adminParameters[4], "Meera Iyer, 14, 3rd Cross, Indiranagar, Bengaluru, Karnataka, 560038, India");
+});
+
+test("orders/create asks cash on delivery customers to confirm the order", async () => {
+  assert.equal((await postWebhook("orders/create", loadFixture("orders-create-cod"))).status, 200);
+
+  const messages = await mock.waitForMessages(2);
+  const customer = messages.find((message) => message.to === "919822055667");
+
+  assert.equal(customer.template, "cod_order_confirmation");
+  const buttons = customer.body.template.components.filter((component) => component.type === "button");
+  assert.deepEqual(
+    buttons.map((button) => button.parameters[0].payload),
+    ["COD_CONFIRM:5480012345679", "COD_CANCEL:5480012345679"]
+  );
+});
+
+test("a COD confirmation that can't be delivered alerts admins", async () => {
+  const order = loadFixture("orders-create-cod");
+  order.id = 5480012340003;
+  order.name = "#1103";
+  assert.equal((await postWebhook("orders/create", order)).status, 200);
+  await mock.waitForMessages(2);
+
+  let confirmation;
+  await waitFor(() => {
+    [confirmation] = searchNotifications({ order: "#1103", topic: "orders/create:cod" });
+    return confirmation?.messageId;
+  });
+  mock.reset();
+
+  const response = await postWhatsappStatuses([{
+    id: confirmation.messageId,
+    status: "failed",
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    recipient_id: "919822055667",
+    errors: [{ code: 131026, title: "Message undeliverable" }],
+  }]);
+  assert.equal(response.status, 200);
+
+  const [alert] = await mock.waitForMessages(1);
+  assert.equal(alert.to, ADMIN_PHONE);
+  assert.match(alert.body.text.body, /order confirmation for #1103 could not be delivered to 919822055667: 131026: Message undeliverable/);
+});
+
+test("orders/fulfilled sends tracking details for every package", async () => {
+  assert.equal((await postWebhook("orders/fulfilled", loadFixture("orders-fulfilled"))).status, 200);
+
+  const messages = await mock.waitForMessages(2);
+  const customer = messages.find((message) => message.template === "order_fulfilled");
+  const admin = messages.find((message) => message.template === "admin_order_fulfilled");
+
+  assert.equal(customer.to, "919845012345");
+  const [, orderName, shippedItems, trackingNumber, trackingLink] = getBodyParameters(customer);
+  assert.equal(orderName, "#1042");
+  assert.match(shippedItems, /^Package 1 \(Delhivery, 1490811234567\): .*; Package 2 \(Blue Dart, 75312345678\): /);
+  assert.equal(trackingNumber, "1490811234567, 75312345678");
+  assert.match(trackingLink, /^https:\/\/www\.delhivery\.com\/track\/package\/1490811234567, https:\/\/www\.bluedart\.com\//);
+  assert.equal(admin.to, ADMIN_PHONE);
+});
+
+test("fulfillments/update only notifies the customer when the shipment status changes", async () => {
+  const order = loadFixture("orders-fulfilled");
+  order.id = 5480012340004;
+  order.name = "#1104";
+  order.fulfillments.forEach((fulfillment, index) => {
+    fulfillment.id = 5100000000401 + index;
+    fulfillment.order_id = order.id;
+  });
+  assert.equal((await postWebhook("orders/fulfilled", order)).status, 200);
+  await mock.waitForMessages(2);
+  mock.reset();
+
+  // Function to post an update to the order's first fulfillment and count the customer messages it sent
+  const postUpdate = async (changes) => {
+    assert.equal((await postWebhook("fulfillments/update", { ...order.fulfillments[0], ...changes })).status, 200);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    return mock.requests.splice(0).filter((message) => message.to === "919845012345").map((message) => message.template);
+  };
+
+  assert.deepEqual(await postUpdate({ shipment_status: "out_for_delivery" }), ["order_out_for_delivery"]);
+  assert.deepEqual(await postUpdate({ shipment_status: "out_for_delivery", tracking_number: "1490811234999" }), []);
+  assert.deepEqual(await postUpdate({ shipment_status: "delivered" }), ["order_delivered"]);
+});
+
+test("an unregistered carrier is recorded once per shipment, not on every lookup", async () => {
+  const order = loadFixture("orders-fulfilled");
+  order.id = 5480012340007;
+  order.name = "#1107";
+  order.fulfillments = [{ ...order.fulfillments[0], id: 5100000000701, order_id: order.id, tracking_company: "Shree Maruti Courier" }];
+  assert.equal((await postWebhook("orders/fulfilled", order)).status, 200);
+  await mock.waitForMessages(2);
+
+  assert.equal((await postWebhook("fulfillments/update", { ...order.fulfillments[0], shipment_status: "in_transit" })).status, 200);
+  assert.equal((await fetch(`${baseUrl}/test-tracking`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ order }),
+  })).status, 200);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  const unknown = getUnknownCarriers().find((carrier) => carrier.name === "Shree Maruti Courier");
+  assert.equal(unknown.count, 1);
+  assert.equal(unknown.lastOrder, "#1107");
+});
+
+test("a redelivered webhook is acknowledged without sending again", async () => {
+  const order = loadFixture("orders-fulfilled");
+  order.id = 5480012340001;
+  order.name = "#1101";
+  const options = { webhookId: "b54557e4-bdd9-4b37-8a5f-bf7d70bcd043" };
+
+  assert.equal((await postWebhook("orders/fulfilled", order, options)).status, 200);
+  await mock.waitForMessages(2);
+
+  const retry = await postWebhook("orders/fulfilled", order, options);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.text, "OK - duplicate delivery");
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(mock.requests.length, 2);
+});
+
+test("without a webhook id, a retry is recognised by its body and a later update of the order is not", async () => {
+  const order = loadFixture("orders-fulfilled");
+  order.id = 5480012340008;
+  order.name = "#1108";
+  order.fulfillments.forEach((fulfillment, index) => {
+    fulfillment.id = 5100000000801 + index;
+    fulfillment.order_id = order.id;
+  });
+  assert.equal((await postWebhook("orders/fulfilled", order)).status, 200);
+  await mock.waitForMessages(2);
+  mock.reset();
+
+  const outForDelivery = { ...order.fulfillments[0], shipment_status: "out_for_delivery", updated_at: "2026-10-19T09:00:00+05:30" };
+  assert.equal((await postWebhook("fulfillments/update", outForDelivery, { webhookId: null })).text, "OK");
+  assert.equal((await postWebhook("fulfillments/update", outForDelivery, { webhookId: null })).text, "OK - duplicate delivery");
+  const delivered = { ...order.fulfillments[0], shipment_status: "delivered", updated_at: "2026-10-19T15:00:00+05:30" };
+  assert.equal((await postWebhook("fulfillments/update", delivered, { webhookId: null })).text, "OK");
+
+  const messages = await mock.waitForMessages(2);
+  assert.deepEqual(messages.map((message) => message.template), ["order_out_for_delivery", "order_delivered"]);
+});
+
+test("a webhook with an invalid signature is rejected and sends nothing", async () => {
+  const response = await postWebhook("orders/create", loadFixture("orders-create-prepaid"), { secret: "wrong-secret" });
+  assert.equal(response.status, 401);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(mock.requests.length, 0);
+});
+
+test("a number that is not on WhatsApp is recorded as a failed notification", async () => {
+  const order = loadFixture("orders-create-prepaid");
+  order.id = 5480012340002;
+  order.name = "#1102";
+  order.customer.phone = "+91 90000 11111";
+  mock.failNumber("919000011111");
+
+  assert.equal((await postWebhook("orders/create", order)).status, 200);
+  await mock.waitForMessages(2);
+
+  await waitFor(() => searchNotifications({ order: "#1102", status: "failed" }).length > 0);
+  const [failed] = searchNotifications({ order: "#1102", status: "failed" });
+  assert.equal(failed.audience, "customer");
+  assert.match(failed.error, /131026/);
+  assert.equal(mock.requests.filter((message) => message.to === "919000011111").length, 1);
+});
+
+test("large orders and multi-line addresses are sent as valid template parameters", async () => {
+  const order = loadFixture("orders-create-prepaid");
+  order.id = 5480012340003;
+  order.name = "#1103";
+  order.currency = "USD";
+  order.shipping_address.address1 = "14, 3rd Cross,\nIndiranagar\t2nd Stage";
+  order.shipping_address.address2 = null;
+  order.line_items = Array.from({ length: 40 }, (item, idx) => ({ name: `Herbal Tea Blend ${idx + 1}`, quantity: 1, price: "10.00" }));
+
+  assert.equal((await postWebhook("orders/create", order)).status, 200);
+  const messages = await mock.waitForMessages(2);
+  const admin = messages.find((message) => message.template === "admin_new_order");
+
+  const parameters = getBodyParameters(admin);
+  parameters.forEach((parameter) => assert.doesNotMatch(parameter, /[\n\t]| {5}/));
+  assert.equal(parameters[4], "Meera Iyer, 14, 3rd Cross, Indiranagar 2nd Stage, Bengaluru, Karnataka, 560038, India");
+  assert.match(parameters[6], /, …and \d+ more items$/);
+  assert.equal(parameters[7], "$1,098.00");
+});
+
+test("an admin template WhatsApp would reject is sent as a text message instead", async () => {
+  const order = loadFixture("orders-create-prepaid");
+  order.id = 5480012340004;
+  order.name = "#1104";
+  order.gateway = "Gateway ".repeat(40);
+  order.customer.last_name = "Iyer ".repeat(60);
+  order.shipping_address.address2 = "Near the old banyan tree ".repeat(12);
+  order.line_items = Array.from({ length: 40 }, (item, idx) => ({ name: `Herbal Tea Blend ${idx + 1}`, quantity: 1, price: "10.00" }));
+
+  assert.equal((await postWebhook("orders/create", order)).status, 200);
+  const messages = await mock.waitForMessages(2);
+  const admin = messages.find((message) => message.to === ADMIN_PHONE);
+
+  assert.equal(admin.type, "text");
+  assert.match(admin.body.text.body, /^Dear Test Owner, new order #1104 from Meera Iyer/);
+  assert.ok(messages.some((message) => message.template === "order_confirmation"));
+});
+
+test("an admin whose own copy of the template is too long gets it as text, the others as a template", async () => {
+  const [tenant] = require("../src/tenants").listTenants();
+  tenant.admins = [
+    { name: "Test Owner", phone: ADMIN_PHONE, roles: ["owner"] },
+    { name: `Meenakshi ${"Sundaram ".repeat(40)}`, phone: "9876500002", roles: ["owner"] },
+  ];
+  const order = loadFixture("orders-create-prepaid");
+  order.id = 5480012340006;
+  order.name = "#1106";
+  order.gateway = "Gateway ".repeat(25);
+  order.shipping_address.address2 = "Near the old banyan tree ".repeat(8);
+  order.line_items = Array.from({ length: 40 }, (item, idx) => ({ name: `Herbal Tea Blend ${idx + 1}`, quantity: 1, price: "10.00" }));
+
+  try {
+    assert.equal((await postWebhook("orders/create", order)).status, 200);
+    const messages = await mock.waitForMessages(3);
+
+    assert.equal(messages.find((message) => message.to === ADMIN_PHONE).template, "admin_new_order");
+    const longName = messages.find((message) => message.to === "919876500002");
+    assert.equal(longName.type, "text");
+    assert.match(longName.body.text.body, /^Dear Meenakshi Sundaram .*, new order #1106 from Meera Iyer/);
+  } finally {
+    tenant.admins = null;
+  }
+});